@@ -1,6 +1,10 @@
 /**
  * SMART EMERGENCY EVACUATION PLANNER
- * Core application: BFS pathfinding, hazard management, UI controller
+ * UI controller: hazard editing, route panel, map and Builder — routing and
+ * scenario state live in pathfinder.js and evacEngine.js
+ * Requires buildingGraph.js, pathfinder.js, evacEngine.js, buildingFormat.js, campus.js, builderStore.js, spreadSim.js,
+ * flowPlanner.js, graphCheck.js, resilience.js, responder.js, riskSim.js, sensorFeed.js,
+ * scenarioTimeline.js, drill.js, signage.js, instructions.js, scenarioLink.js and presetStore.js to be loaded first.
  */
 
 // ─────────────────────────────────────────────────────────────
@@ -11,113 +15,190 @@ const state = {
   hazardEdges: new Set(),       // disabled edges "A::B"
   hazardTypes: {},              // nodeId → 'fire'|'smoke'|'closed'|'exit_blocked'
   selectedHazard: 'fire',
+  startNode: START_NODE,        // "you are here" — any node in NODES
+  profile: ENGINE_DEFAULTS.profile,   // who is evacuating (ROUTE_PROFILES)
+  allRooms: false,              // all-rooms mode: best exit for every room
+  roomPlans: null,              // nodeId → route | null (trapped), while allRooms is on
+  flowPlan: null,               // occupancy/capacity evacuation plan (flowPlanner.js)
   currentPath: null,
+  currentRoute: null,           // { path, distance, floors, cost, time }
+  alternatives: [],             // further routes, cheapest first (evaluateScenario)
+  routeStatus: 'safe',          // evaluateScenario status — 'refuge' when only a refuge is reachable
   evacuationFailed: false,
   timerInterval: null,
   timerSeconds: 0,
   timerRunning: false,
+  altOptions: {                 // k-shortest alternative routes
+    k: 3,
+    distinctExits: false,       // every route ends at a different exit
+    disjointStairs: false,      // no two routes share a stairwell
+  },
+  spread: {
+    enabled: false,
+    seed: 1,
+    sim: null,      // created on the first tick, dropped whenever the timer resets
+  },
+  sensors: {                    // live detector feed (sensorFeed.js)
+    feed: null,                 // { close } while connected or retrying
+    status: 'closed',
+    events: 0,
+    retryMs: 0,                 // delay before the next reconnect, while retrying
+  },
+  timeline: createTimeline('Multi-Floor Building', START_NODE),   // this drill (scenarioTimeline.js)
+  auditEntries: [],             // every audit line as plain text, for CSV export
+  replay: {                     // replaying state.timeline or an imported one
+    active: false,
+    timeline: null,
+    position: 0,                // events applied so far
+    playing: false,
+    speed: 1,
+    timer: null,
+    live: null,                 // scenario, start and timer to restore when the replay stops
+  },
+  userPresets: {},              // this building's saved presets (presetStore.js), loaded in init
+  presetForm: null,             // { editing: name or null } while the preset form is open
+  link: {                       // URL hash kept in step with the scenario (scenarioLink.js)
+    ready: false,               // set once a link opened with the page has been applied
+    applying: false,
+    pending: false,             // a history entry is due at the end of this change
+    written: null,              // last hash set here, so its hashchange is not applied back
+  },
   builderMode: false,
   builder: {
-    nodes: {},      // id → { label, x, y }
-    edges: [],      // [a, b]
-    selectedNode: null,
+    floors: [{ ...BUILDER_GROUND_FLOOR }],   // bottom to top
+    activeFloor: BUILDER_GROUND_FLOOR.id,    // the floor shown on the canvas
+    nodes: {},      // id → { label, type, floor, x, y }
+    edges: [],      // [a, b] — links between floors join two stairwells or two lifts
     linkSource: null,
+    selectedNode: null,
+    selectedEdge: null,         // [a, b]
+  },
+  builderHistory: createHistory(),   // undo/redo for every builder edit (builderStore.js)
+  diagnostics: [],              // graph consistency issues (graphCheck.js)
+  risk: {                       // Monte Carlo risk analysis (riskSim.js)
+    job: null,                  // { cancel } while a run is in progress
+    report: null,
+  },
+  resilience: {                 // what-if report (resilience.js, runs in resilienceWorker.js)
+    enabled: false,
+    job: null,                  // { cancel } while a report is being worked out
+    announce: false,            // log the next report (the mode was just turned on)
+    report: null,               // the last finished report, kept on the map until the next
+    sort: { elements: ['dependents', -1], rooms: ['single', -1] },   // [column, direction]
+  },
+  drill: {                      // trainee drill (drill.js) — the route stays hidden until it is scored
+    active: false,
+    trainee: '',
+    name: null,                 // preset name, or "Random #seed"
+    start: null,
+    path: [],                   // the trainee's route so far, from start
+    result: null,               // the scored attempt, once submitted
+    seed: 1,                    // next random drill
+    live: null,                 // scenario, start and timer to restore when the drill ends
+    history: [],                // saved results (readDrillHistory)
+  },
+  responder: {                  // fire crew approach routes (responder.js)
+    enabled: false,
+    origin: RESPONDER_DEFAULTS.origin,   // where the crew enters
+    target: null,               // approach shown on the map; null → the nearest one
+    plan: null,                 // planResponse result, while enabled
   },
   activeFloor: 'ALL',
+  building: {                   // replaced when a building file is imported
+    name: 'Multi-Floor Building',
+    floorOrder: ['GF', 'F1', 'F2', 'F3', 'B1'],
+    floorBoxes: {},             // map geometry is kept only so it survives re-export
+    geometry: {},
+    map: null,
+  },
+  campus: null,                 // the loaded campus's layout (campus.js); view = building on show, null → the overview
 };
 
-// Edge key — always sorted for consistency
-function edgeKey(a, b) {
-  return [a, b].sort().join('::');
-}
+// Weighted routing graph — corridors use EDGE_LENGTHS, else their length on
+// the building's map geometry (the built-in tables have none), else the
+// default length; stair edges cost extra per floor. Rebuilt by loadBuilding().
+let ROUTE_GRAPH = buildRoutingGraph({
+  nodes: NODES, floors: FLOORS, adjacency: ADJACENCY, exits: EXITS, lengths: EDGE_LENGTHS,
+});
 
 // ─────────────────────────────────────────────────────────────
-// BFS PATHFINDER
+// ALTERNATIVE ROUTES
 // ─────────────────────────────────────────────────────────────
-function bfsEvacuate(graph, adjacency, exits, start, blockedNodes, blockedEdges) {
-  if (blockedNodes.has(start)) return null;
-
-  const queue = [[start]];
-  const visited = new Set([start]);
-
-  while (queue.length > 0) {
-    const path = queue.shift();
-    const current = path[path.length - 1];
-
-    if (exits.has(current)) return path;
-
-    const neighbors = adjacency[current] || [];
-    for (const neighbor of neighbors) {
-      if (visited.has(neighbor)) continue;
-      if (blockedNodes.has(neighbor)) continue;
-      if (blockedEdges.has(edgeKey(current, neighbor))) continue;
-
-      visited.add(neighbor);
-      queue.push([...path, neighbor]);
-    }
-  }
-  return null; // no path found
+// Alternatives come from evaluateScenario (Yen's algorithm — see kShortestRoutes in pathfinder.js)
+function setAltOption(key, value) {
+  state.altOptions[key] = value;
+  state.alternatives = evaluateScenario(ROUTE_GRAPH, state, state.startNode, state.altOptions, state.profile).alternatives;
+  renderRoutePanel();
 }
 
-// Find top N alternative paths (BFS variants avoiding previous paths)
-function findAlternativePaths(adjacency, exits, start, blockedNodes, blockedEdges, count = 3) {
-  const paths = [];
-  const usedPaths = new Set();
-
-  // First: find the optimal path
-  const optimal = bfsEvacuate(null, adjacency, exits, start, blockedNodes, blockedEdges);
-  if (!optimal) return [];
-
-  paths.push(optimal);
-  usedPaths.add(optimal.join('->'));
-
-  // Then find alternatives by temporarily blocking nodes from previous paths
-  for (let i = 1; i < count; i++) {
-    let found = false;
-    const prevPath = paths[i - 1];
-
-    // Try blocking each intermediate node of the previous path
-    for (let j = 1; j < prevPath.length - 1; j++) {
-      const extraBlocked = new Set([...blockedNodes, prevPath[j]]);
-      const alt = bfsEvacuate(null, adjacency, exits, start, extraBlocked, blockedEdges);
-      if (alt && !usedPaths.has(alt.join('->'))) {
-        paths.push(alt);
-        usedPaths.add(alt.join('->'));
-        found = true;
-        break;
-      }
-    }
-    if (!found) break;
-  }
-
-  return paths;
+// "+12 m" / "−4s" — alternatives can be shorter than the best route when it avoids stairs or smoke
+function formatDelta(value, format) {
+  return (value < 0 ? '−' : '+') + format(Math.abs(value));
 }
 
 // ─────────────────────────────────────────────────────────────
 // HAZARD MANAGEMENT
 // ─────────────────────────────────────────────────────────────
-function applyHazard(nodeId, type) {
-  state.hazardNodes.add(nodeId);
-  state.hazardTypes[nodeId] = type;
-  logAudit(`⚠ Hazard applied: ${NODES[nodeId]?.label || nodeId} [${type.toUpperCase()}]`, 'warn');
+// `source` names where a change came from other than a click, e.g. a sensor
+function applyHazard(nodeId, type, source) {
+  setHazard(state, nodeId, type);
+  recordTimeline('hazard', source ? { node: nodeId, hazard: type, source } : { node: nodeId, hazard: type });
+  logAudit(`⚠ Hazard applied: ${NODES[nodeId]?.label || nodeId} [${type.toUpperCase()}]${source ? ` · ${escapeHtml(source)}` : ''}`, 'warn');
+  _recalculate();
+  renderMap();
+  renderNodeList();
+}
+
+function removeHazard(nodeId, source) {
+  const type = clearHazard(state, nodeId);
+  recordTimeline('clear', source ? { node: nodeId, source } : { node: nodeId });
+  logAudit(`✓ Hazard cleared: ${NODES[nodeId]?.label || nodeId}${type ? ' [' + type.toUpperCase() + ']' : ''}${source ? ` · ${escapeHtml(source)}` : ''}`, 'ok');
+  _recalculate();
+  renderMap();
+  renderNodeList();
+}
+
+function edgeLabel(key) {
+  return key.split('::').map(id => NODES[id]?.label || id).join(' ↔ ');
+}
+
+// Edge hazards block a single door or stair flight between two nodes
+function applyEdgeHazard(a, b) {
+  const key = setEdgeHazard(state, a, b, true);
+  recordTimeline('edge', { edge: [a, b], blocked: true });
+  logAudit(`${getHazardIcon('blocked_path')} Connection blocked: ${edgeLabel(key)}`, 'warn');
   _recalculate();
   renderMap();
   renderNodeList();
 }
 
-function removeHazard(nodeId) {
-  const type = state.hazardTypes[nodeId];
-  state.hazardNodes.delete(nodeId);
-  delete state.hazardTypes[nodeId];
-  logAudit(`✓ Hazard cleared: ${NODES[nodeId]?.label || nodeId}${type ? ' [' + type.toUpperCase() + ']' : ''}`, 'ok');
+function removeEdgeHazard(a, b) {
+  const key = setEdgeHazard(state, a, b, false);
+  recordTimeline('edge', { edge: [a, b], blocked: false });
+  logAudit(`✓ Connection cleared: ${edgeLabel(key)}`, 'ok');
   _recalculate();
   renderMap();
   renderNodeList();
 }
 
+function toggleEdgeHazard(a, b) {
+  if (replayLocked() || drillLocked()) return;
+  if (state.hazardEdges.has(edgeKey(a, b))) {
+    removeEdgeHazard(a, b);
+  } else {
+    applyEdgeHazard(a, b);
+  }
+}
+
 function toggleHazard(nodeId) {
-  if (nodeId === START_NODE) {
-    showToast('Cannot mark Control Room as hazard — it is the evacuation start point.', 'error');
+  // During a drill, clicks on the map are the trainee's route
+  if (state.drill.active) {
+    addDrillStep(nodeId);
+    return;
+  }
+  if (replayLocked()) return;
+  if (nodeId === state.startNode && !state.hazardNodes.has(nodeId)) {
+    showToast(`Cannot mark ${NODES[nodeId]?.label || nodeId} as hazard — it is the evacuation start point.`, 'error');
     return;
   }
   if (state.hazardNodes.has(nodeId)) {
@@ -128,11 +209,12 @@ function toggleHazard(nodeId) {
 }
 
 function resetAll() {
-  state.hazardNodes.clear();
-  state.hazardEdges.clear();
-  state.hazardTypes = {};
+  if (replayLocked() || drillLocked()) return;
+  clearHazards(state);
+  recordTimeline('reset');
   stopTimer();
   state.timerSeconds = 0;
+  state.spread.sim = null;
   updateTimerDisplay();
   logAudit('🔄 System reset — all hazards cleared', 'info');
   // Use _recalculate to avoid calling renderNodeList before renderMap
@@ -142,18 +224,24 @@ function resetAll() {
   showToast('Scenario reset successfully', 'ok');
 }
 
+// Building presets with the team's own saved over them
+function allPresets() {
+  return { ...HAZARD_PRESETS, ...state.userPresets };
+}
+
 function applyPreset(presetName) {
-  const preset = HAZARD_PRESETS[presetName];
+  const preset = allPresets()[presetName];
   if (!preset) return;
+  if (replayLocked() || drillLocked()) return;
   resetAll();
-  preset.nodes.forEach(n => {
-    state.hazardNodes.add(n);
-    state.hazardTypes[n] = 'fire';
-  });
-  preset.edges.forEach(([a, b]) => {
-    state.hazardEdges.add(edgeKey(a, b));
+  loadPreset(state, preset);
+  recordTimeline('preset', {
+    name: presetName,
+    nodes: [...preset.nodes],
+    edges: (preset.edges || []).map(([a, b]) => [a, b]),
+    ...(preset.types ? { types: { ...preset.types } } : {}),
   });
-  logAudit(`📋 Preset loaded: "${presetName}" — ${preset.description}`, 'info');
+  logAudit(`📋 Preset loaded: "${escapeHtml(presetName)}" — ${escapeHtml(preset.description || '')}`, 'info');
   _recalculate();
   renderMap();
   renderNodeList();
@@ -164,9 +252,12 @@ function applyPreset(presetName) {
 // ROUTE CALCULATION
 // ─────────────────────────────────────────────────────────────
 function recalculate() {
-  const path = bfsEvacuate(NODES, ADJACENCY, EXITS, START_NODE, state.hazardNodes, state.hazardEdges);
-  state.currentPath = path;
-  state.evacuationFailed = !path;
+  const { status, route, alternatives } = evaluateScenario(ROUTE_GRAPH, state, state.startNode, state.altOptions, state.profile);
+  state.currentRoute = route;
+  state.currentPath = route ? route.path : null;
+  state.alternatives = alternatives;
+  state.routeStatus = status;
+  state.evacuationFailed = !route;
   renderRoutePanel();
 }
 
@@ -179,6 +270,7 @@ function startTimer() {
   state.timerInterval = setInterval(() => {
     state.timerSeconds++;
     updateTimerDisplay();
+    if (state.spread.enabled && !state.drill.active) tickSpread();
   }, 1000);
   document.getElementById('btn-timer-start').textContent = '⏸ Pause';
 }
@@ -192,18 +284,31 @@ function stopTimer() {
 function resetTimer() {
   stopTimer();
   state.timerSeconds = 0;
+  state.spread.sim = null;
   updateTimerDisplay();
 }
 
 function toggleTimer() {
+  if ((!state.timerRunning && replayLocked()) || drillLocked()) return;
   state.timerRunning ? stopTimer() : startTimer();
 }
 
+function formatClock(seconds) {
+  const m = String(Math.floor(seconds / 60)).padStart(2, '0');
+  const s = String(seconds % 60).padStart(2, '0');
+  return `${m}:${s}`;
+}
+
 function updateTimerDisplay() {
-  const m = String(Math.floor(state.timerSeconds / 60)).padStart(2, '0');
-  const s = String(state.timerSeconds % 60).padStart(2, '0');
+  const vsTimer = document.getElementById('flow-vs-timer');
+  if (vsTimer) {
+    const { text, level } = getFlowVsTimer();
+    vsTimer.textContent = text;
+    vsTimer.className = level;
+  }
+
   const el = document.getElementById('timer-display');
-  if (el) el.textContent = `${m}:${s}`;
+  if (el) el.textContent = formatClock(state.timerSeconds);
 
   // Color escalation
   if (el) {
@@ -214,245 +319,1901 @@ function updateTimerDisplay() {
 }
 
 // ─────────────────────────────────────────────────────────────
-// SVG MAP RENDERING
+// SPREAD SIMULATION
 // ─────────────────────────────────────────────────────────────
-function getNodeStatus(nodeId) {
-  if (nodeId === START_NODE) return 'start';
-  if (EXITS.has(nodeId) && state.hazardNodes.has(nodeId)) return 'exit-blocked';
-  if (EXITS.has(nodeId)) return 'exit';
-  if (state.hazardNodes.has(nodeId)) return 'hazard';
-  if (state.currentPath && state.currentPath.includes(nodeId)) return 'path';
-  return 'safe';
+// One propagation step per timer tick; re-plans and logs when the route is cut off
+function tickSpread() {
+  if (!state.spread.sim) {
+    state.spread.sim = createSpreadSim({
+      nodes: NODES, floors: FLOORS, adjacency: ADJACENCY,
+      seed: state.spread.seed, protectedNodes: [state.startNode],
+    });
+  }
+  const changes = stepSpread(state.spread.sim, state.hazardTypes, state.hazardEdges);
+  if (!changes.length) return; // hazards unchanged → the plan would be identical
+
+  const before = state.currentPath;
+  const t = `T+${formatClock(state.timerSeconds)}`;
+  changes.forEach(c => {
+    setHazard(state, c.id, c.type);
+    recordTimeline('hazard', { node: c.id, hazard: c.type, source: 'spread' });
+    logAudit(`${getHazardIcon(c.type)} ${t} ${c.type === 'fire' ? 'Fire' : 'Smoke'} spread: ${NODES[c.from]?.label || c.from} → ${NODES[c.id]?.label || c.id}`, 'warn');
+  });
+
+  _recalculate();
+  renderMap();
+  renderNodeList();
+
+  const cut = before && changes.find(c => before.includes(c.id));
+  if (cut) {
+    const path = state.currentPath;
+    const exitLabel = path ? NODES[path[path.length - 1]]?.label : null;
+    logAudit(`⛔ ${t} Route cut off — ${NODES[cut.id]?.label || cut.id} now ${cut.type.toUpperCase()} · ${path ? 're-planned → ' + exitLabel : 'NO SAFE EXIT'}`, path ? 'warn' : 'danger');
+  }
 }
 
-function getHazardIcon(type) {
-  const icons = { fire: '🔥', smoke: '💨', closed: '🔒', exit_blocked: '🚫', blocked_path: '⛔' };
-  return icons[type] || '⚠';
+// ─────────────────────────────────────────────────────────────
+// LIVE SENSOR FEED (sensorFeed.js)
+// ─────────────────────────────────────────────────────────────
+const SENSOR_STATUS_LABELS = { connecting: 'Connecting…', open: 'Live', retrying: 'Reconnecting', closed: 'Off' };
+
+function toggleSensorFeed() {
+  if (state.sensors.feed) {
+    state.sensors.feed.close();
+    state.sensors.feed = null;
+    return;
+  }
+  const url = document.getElementById('sensor-url')?.value.trim() || SENSOR_FEED_DEFAULTS.url;
+  const source = url.replace(/^wss?:\/\//, '');
+  state.sensors.events = 0;
+  logAudit(`📡 Sensor feed: connecting to ${escapeHtml(url)}`, 'info');
+  state.sensors.feed = connectSensorFeed(url, {
+    onEvent: (event) => handleSensorEvent(event, source),
+    onStatus: setSensorStatus,
+    onError: (message) => logAudit(`📡 Sensor feed (${escapeHtml(source)}): ${escapeHtml(message)}`, 'warn'),
+  });
 }
 
-function renderMap() {
-  const container = document.getElementById('svg-map-container');
-  if (!container) return;
+function setSensorStatus(status, detail) {
+  const was = state.sensors.status;
+  state.sensors.status = status;
+  state.sensors.retryMs = detail;
+  if (status === 'open') logAudit('📡 Sensor feed live', 'ok');
+  else if (status === 'retrying' && was === 'open') logAudit('📡 Sensor feed lost — reconnecting', 'warn');
+  else if (status === 'closed') {
+    state.sensors.feed = null;
+    logAudit('📡 Sensor feed disconnected', 'info');
+  }
+  renderSensorStatus();
+}
 
-  // Group nodes by floor
-  const floorOrder = ['GF', 'F1', 'F2', 'F3', 'B1'];
-  const pathSet = new Set(state.currentPath || []);
+function renderSensorStatus() {
+  const { status, events, retryMs } = state.sensors;
+  const btn = document.getElementById('btn-sensor-connect');
+  if (btn) btn.textContent = status === 'closed' ? '▶ Connect' : '■ Disconnect';
+  const el = document.getElementById('sensor-status');
+  if (el) {
+    el.className = `sensor-status sensor-${status}`;
+    el.textContent = `${SENSOR_STATUS_LABELS[status]}${status === 'retrying' ? ` in ${Math.round(retryMs / 1000)}s` : ''} · ${events} event${events !== 1 ? 's' : ''}`;
+  }
+}
 
-  let html = '';
+// One detector or door-contact report. Repeats of the current state are ignored,
+// so a detector that keeps alarming does not flood the log.
+function handleSensorEvent(event, source = 'sensor feed') {
+  const reading = resolveSensorEvent(event, { nodes: NODES, sensors: SENSORS });
+  state.sensors.events++;
+  renderSensorStatus();
+  if (reading.error) {
+    logAudit(`📡 Sensor event ignored (${escapeHtml(source)}): ${escapeHtml(reading.error)}`, 'warn');
+    return;
+  }
 
-  for (const floor of floorOrder) {
-    const floorNodes = Object.entries(NODES).filter(([, n]) => n.floor === floor);
-    if (!floorNodes.length) continue;
+  // A live alarm matters more than a replay or a drill
+  if (state.replay.active) stopReplay();
+  if (state.drill.active) endDrill();
+  const via = `📡 ${reading.sensor || 'sensor'} via ${source}`;
+  if (reading.state === SENSOR_CLEAR) {
+    if (state.hazardNodes.has(reading.nodeId)) removeHazard(reading.nodeId, via);
+  } else if (state.hazardTypes[reading.nodeId] !== reading.state) {
+    applyHazard(reading.nodeId, reading.state, via);
+  }
+}
 
-    const floorInfo = FLOORS[floor];
-    html += `<div class="floor-section" data-floor="${floor}">
-      <div class="floor-label">${floorInfo.label}</div>
-      <div class="floor-nodes">`;
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
-    for (const [id, node] of floorNodes) {
-      const status = getNodeStatus(id);
-      const hazardType = state.hazardTypes[id];
-      const isOnPath = pathSet.has(id);
-      const isStart = id === START_NODE;
-      const isExit = EXITS.has(id);
+// ─────────────────────────────────────────────────────────────
+// TIMELINE RECORDING & REPLAY (scenarioTimeline.js)
+// ─────────────────────────────────────────────────────────────
+// Replay steps follow the recorded drill time, within these bounds
+const REPLAY_STEP_MS = { min: 400, max: 4000 };
+
+// Adds an event to the drill timeline — never while a replay or a trainee drill is driving the map
+function recordTimeline(type, fields) {
+  if (state.replay.active || state.drill.active) return;
+  recordEvent(state.timeline, state.timerSeconds, type, fields);
+  renderTimelinePanel();
+}
 
-      let classes = `map-node node-${status} node-type-${node.type}`;
-      if (isOnPath) classes += ' node-on-path';
-
-      const pathIndex = state.currentPath ? state.currentPath.indexOf(id) : -1;
-      const stepLabel = pathIndex >= 0 ? `<span class="path-step">${pathIndex + 1}</span>` : '';
-
-      html += `
-        <div class="${classes}" data-id="${id}" onclick="handleNodeClick('${id}')" title="${node.label}${hazardType ? ' [' + hazardType + ']' : ''}">
-          <div class="node-inner">
-            ${isStart ? '<span class="node-badge start-badge">START</span>' : ''}
-            ${isExit && !hazardType ? '<span class="node-badge exit-badge">EXIT</span>' : ''}
-            ${hazardType ? `<span class="hazard-icon">${getHazardIcon(hazardType)}</span>` : ''}
-            ${stepLabel}
-            <span class="node-label">${node.label}</span>
-            <span class="node-type-tag">${node.type}</span>
-          </div>
-        </div>`;
+// Edits are refused during a replay; returns true when one is running
+function replayLocked() {
+  if (!state.replay.active) return false;
+  showToast('Stop the replay to change the scenario', 'info');
+  return true;
+}
+
+function startReplay(timeline = state.timeline) {
+  if (drillLocked()) return;
+  if (!timeline.events.length) {
+    showToast('Nothing recorded yet', 'info');
+    return;
+  }
+  if (!state.replay.active) {
+    stopTimer();
+    state.replay.live = {
+      hazardNodes: new Set(state.hazardNodes), hazardEdges: new Set(state.hazardEdges), hazardTypes: { ...state.hazardTypes },
+      startNode: state.startNode, profile: state.profile, timerSeconds: state.timerSeconds,
+    };
+  }
+  state.replay.active = true;
+  state.replay.timeline = timeline;
+  logAudit(`⏯ Replay: ${escapeHtml(timeline.building)} — ${timeline.events.length} events`, 'info');
+  seekReplay(0);
+}
+
+function stopReplay() {
+  if (!state.replay.active) return;
+  pauseReplay();
+  const { live } = state.replay;
+  state.hazardNodes = live.hazardNodes;
+  state.hazardEdges = live.hazardEdges;
+  state.hazardTypes = live.hazardTypes;
+  state.startNode = live.startNode;
+  state.profile = live.profile;
+  state.timerSeconds = live.timerSeconds;
+  // Still marked active so restoring the live route is not recorded as a change
+  _recalculate();
+  state.replay.active = false;
+  state.replay.live = null;
+  updateTimerDisplay();
+  renderMap();
+  renderNodeList();
+  renderTimelinePanel();
+  logAudit('⏹ Replay stopped — back to the live scenario', 'info');
+}
+
+// Shows the scenario after the first `position` events
+function seekReplay(position) {
+  const { timeline } = state.replay;
+  state.replay.position = Math.max(0, Math.min(position, timeline.events.length));
+  const { scenario, startNode, profile } = timelineStateAt(timeline, state.replay.position);
+  Object.assign(state, scenario);
+  state.startNode = startNode;
+  state.profile = profile;
+  state.timerSeconds = state.replay.position ? timeline.events[state.replay.position - 1].t : 0;
+  updateTimerDisplay();
+  _recalculate();
+  renderMap();
+  renderNodeList();
+  renderTimelinePanel();
+}
+
+function playReplay() {
+  if (!state.replay.active) startReplay();
+  if (!state.replay.active) return;
+  if (state.replay.position >= state.replay.timeline.events.length) seekReplay(0);
+  state.replay.playing = true;
+  scheduleReplayStep();
+  renderTimelinePanel();
+}
+
+function pauseReplay() {
+  clearTimeout(state.replay.timer);
+  state.replay.playing = false;
+  renderTimelinePanel();
+}
+
+function scheduleReplayStep() {
+  const { timeline, position, speed } = state.replay;
+  if (position >= timeline.events.length) {
+    pauseReplay();
+    return;
+  }
+  const gap = Math.max(0, timeline.events[position].t - (position ? timeline.events[position - 1].t : 0));
+  const delay = Math.min(REPLAY_STEP_MS.max, Math.max(REPLAY_STEP_MS.min, (gap * 1000) / speed));
+  state.replay.timer = setTimeout(() => {
+    seekReplay(position + 1);
+    scheduleReplayStep();
+  }, delay);
+}
+
+function exportTimelineFile() {
+  const timeline = state.replay.active ? state.replay.timeline : state.timeline;
+  downloadFile(`timeline-${fileSlug(timeline.building)}.json`, JSON.stringify(exportTimeline(timeline), null, 2), 'application/json');
+  logAudit(`⬇ Timeline exported: ${timeline.events.length} events`, 'info');
+  showToast('Timeline exported', 'ok');
+}
+
+function importTimelineFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch (err) {
+      reportImportErrors(file.name, [`Not valid JSON — ${err.message}`]);
+      return;
     }
+    const errors = validateTimeline(data, NODES);
+    if (errors.length) {
+      reportImportErrors(file.name, errors);
+      return;
+    }
+    startReplay(readTimeline(data));
+  };
+  reader.readAsText(file);
+}
 
-    html += `</div></div>`;
+function describeTimelineEvent(e) {
+  const label = id => escapeHtml(NODES[id]?.label || id);
+  const source = e.source ? ` · ${escapeHtml(e.source)}` : '';
+  switch (e.type) {
+    case 'hazard': return `${getHazardIcon(e.hazard)} ${label(e.node)} [${e.hazard.toUpperCase()}]${source}`;
+    case 'clear':  return `✓ ${label(e.node)} cleared${source}`;
+    case 'edge':   return `${e.blocked ? '⛔' : '✓'} ${e.edge.map(label).join(' ↔ ')} ${e.blocked ? 'blocked' : 'reopened'}`;
+    case 'preset': return `📋 Preset "${escapeHtml(e.name)}"`;
+    case 'reset':  return '🔄 Reset';
+    case 'start':  return `🎯 You are here: ${label(e.node)}`;
+    case 'profile': return `♿ Profile: ${escapeHtml(ROUTE_PROFILES[e.profile]?.label || e.profile)}`;
+    case 'route':  return e.path
+      ? `${e.status === 'refuge' ? '🛡 Refuge' : '➜ Route'} → ${label(e.path[e.path.length - 1])} · ${formatDistance(e.distance)}${e.status === 'degraded' ? ' · via hazard' : ''}`
+      : '☠ No safe exit';
+    default:       return escapeHtml(e.type);
   }
+}
 
-  container.innerHTML = html;
+function renderTimelinePanel() {
+  const { active, playing, position, speed } = state.replay;
+  const timeline = active ? state.replay.timeline : state.timeline;
+  const count = timeline.events.length;
+
+  const status = document.getElementById('timeline-status');
+  if (status) {
+    status.className = `timeline-status ${active ? 'timeline-replay' : 'timeline-rec'}`;
+    status.textContent = active
+      ? `REPLAY ${position} / ${count} · ${timeline.building}`
+      : `REC · ${count} event${count !== 1 ? 's' : ''} · ${timeline.building}`;
+  }
+  const play = document.getElementById('btn-replay-play');
+  if (play) play.textContent = playing ? '❚❚ Pause' : active ? '▶ Play' : '▶ Replay';
+  const stop = document.getElementById('btn-replay-stop');
+  if (stop) stop.disabled = !active;
+  const scrub = document.getElementById('replay-scrub');
+  if (scrub) {
+    scrub.max = count;
+    scrub.value = active ? position : count;
+    scrub.disabled = !count;
+  }
+  const speedSelect = document.getElementById('replay-speed');
+  if (speedSelect) speedSelect.value = String(speed);
 
-  // Animate path nodes
-  if (state.currentPath) {
-    state.currentPath.forEach((id, idx) => {
-      const el = container.querySelector(`[data-id="${id}"]`);
-      if (el) el.style.animationDelay = `${idx * 0.08}s`;
-    });
+  const list = document.getElementById('timeline-events');
+  if (!list) return;
+  list.innerHTML = count
+    ? timeline.events.map((e, i) => `
+      <div class="timeline-event timeline-${e.type}${active && i === position - 1 ? ' current' : ''}${active && i >= position ? ' future' : ''}" data-position="${i + 1}">
+        <span class="timeline-time">T+${formatClock(Math.floor(e.t))}</span>
+        <span class="timeline-text">${describeTimelineEvent(e)}</span>
+      </div>`).join('')
+    : '<div class="timeline-empty">Every hazard change, preset, reset and route change is recorded here against the drill timer.</div>';
+  list.querySelector('.current')?.scrollIntoView?.({ block: 'nearest' });
+}
+
+// ─────────────────────────────────────────────────────────────
+// SCENARIO LINKS (scenarioLink.js)
+// ─────────────────────────────────────────────────────────────
+// The URL hash follows the live scenario and every change is a history entry,
+// so the back and forward buttons step through them. Replays are not written.
+// Setting location.hash rather than history.pushState also works from file://.
+function linkFloor() {
+  return state.activeFloor === 'ALL' ? null : state.activeFloor;
+}
+
+function writeScenarioHash({ replace = false } = {}) {
+  const hash = encodeScenarioHash(state, { start: state.startNode, floor: linkFloor(), profile: state.profile });
+  if (hash === location.hash) return;
+  state.link.written = hash;
+  if (replace) location.replace(hash);
+  else location.hash = hash;
+}
+
+function syncScenarioUrl() {
+  if (!state.link.ready || state.link.applying || state.replay.active || state.drill.active || state.link.pending) return;
+  // One change can recalculate several times (a preset resets first) — write the outcome once
+  state.link.pending = true;
+  queueMicrotask(() => {
+    state.link.pending = false;
+    if (!state.replay.active) writeScenarioHash();
+  });
+}
+
+// Restores the scenario in a URL hash; returns false when the hash holds none.
+// Changes are recorded on the timeline like any other edit.
+function applyScenarioLink(hash) {
+  const link = decodeScenarioHash(hash, { nodes: NODES, adjacency: ADJACENCY, floors: FLOORS });
+  if (!link) return false;
+  if (state.replay.active) stopReplay();
+  if (state.drill.active) endDrill();
+  state.link.applying = true;
+
+  const next = createScenario();
+  applyHazardList(next, link.hazards);
+  if (scenarioHazardSpecs(next).join() !== scenarioHazardSpecs(state).join()) {
+    clearHazards(state);
+    recordTimeline('reset');
+    for (const h of link.hazards) {
+      if (h.edge) {
+        setEdgeHazard(state, h.edge[0], h.edge[1], true);
+        recordTimeline('edge', { edge: h.edge, blocked: true });
+      } else {
+        setHazard(state, h.node, h.type);
+        recordTimeline('hazard', { node: h.node, hazard: h.type, source: 'link' });
+      }
+    }
+    logAudit(`🔗 Scenario from link: ${state.hazardNodes.size} hazard${state.hazardNodes.size !== 1 ? 's' : ''}, ${state.hazardEdges.size} blocked connection${state.hazardEdges.size !== 1 ? 's' : ''}`, 'info');
+  }
+  if (link.start && link.start !== state.startNode) {
+    state.startNode = link.start;
+    recordTimeline('start', { node: link.start });
+    if (state.spread.sim) state.spread.sim.protectedNodes = new Set([link.start]);
+    const select = document.getElementById('start-node-select');
+    if (select) select.value = link.start;
+  }
+  if (link.profile !== state.profile) {
+    state.profile = link.profile;
+    recordTimeline('profile', { profile: link.profile });
+  }
+  state.activeFloor = link.floor || 'ALL';
+  const floorSelect = document.getElementById('floor-filter');
+  if (floorSelect) floorSelect.value = state.activeFloor;
+
+  _recalculate();
+  state.link.applying = false;
+  renderMap();
+  renderNodeList();
+  if (link.errors.length) {
+    link.errors.forEach(msg => logAudit(`🔗 Link: ${escapeHtml(msg)}`, 'danger'));
+    showToast(`Link partly applied — ${link.errors.length} problem${link.errors.length !== 1 ? 's' : ''}, see Audit Log`, 'error');
   }
+  // Drop anything that could not be applied from the address bar
+  writeScenarioHash({ replace: true });
+  return true;
 }
 
-function handleNodeClick(nodeId) {
-  toggleHazard(nodeId);
+// ─────────────────────────────────────────────────────────────
+// YOU ARE HERE / ALL-ROOMS MODE
+// ─────────────────────────────────────────────────────────────
+function setStartNode(nodeId) {
+  if (!NODES[nodeId] || nodeId === state.startNode) return;
+  if (replayLocked() || drillLocked()) {
+    const select = document.getElementById('start-node-select');
+    if (select) select.value = state.startNode;
+    return;
+  }
+  state.startNode = nodeId;
+  recordTimeline('start', { node: nodeId });
+  if (state.spread.sim) state.spread.sim.protectedNodes = new Set([nodeId]);
+  const select = document.getElementById('start-node-select');
+  if (select) select.value = nodeId;
+  logAudit(`🎯 You are here: ${NODES[nodeId].label}`, 'info');
+  _recalculate();
+  renderMap();
+  renderNodeList();
+}
+
+// Route profile: who is evacuating (ROUTE_PROFILES in pathfinder.js)
+function setProfile(profile) {
+  if (!Object.hasOwn(ROUTE_PROFILES, profile) || profile === state.profile || replayLocked() || drillLocked()) return;
+  state.profile = profile;
+  recordTimeline('profile', { profile });
+  logAudit(`♿ Route profile: ${ROUTE_PROFILES[profile].label}`, 'info');
+  _recalculate();
+  renderMap();
+  renderNodeList();
+}
+
+function populateStartSelect() {
+  const startSelect = document.getElementById('start-node-select');
+  if (!startSelect) return;
+  startSelect.innerHTML = Object.entries(NODES)
+    .filter(([id]) => !EXITS.has(id))
+    .map(([id, node]) => `<option value="${id}">${node.label} — ${FLOORS[node.floor].label}</option>`)
+    .join('');
+  startSelect.value = state.startNode;
+}
+
+function setAllRooms(enabled) {
+  state.allRooms = enabled;
+  _recalculate();
+  renderMap();
+  if (enabled) {
+    const trapped = Object.entries(state.roomPlans).filter(([id, r]) => !r && !EXITS.has(id)).length;
+    logAudit(`🗺 All-rooms mode — ${trapped} room${trapped !== 1 ? 's' : ''} trapped`, trapped ? 'warn' : 'info');
+  }
+}
+
+// Heat bucket by walking time to the nearest safe exit
+const HEAT_STEPS = [30, 60, 90, 120]; // seconds
+
+function getHeatClass(nodeId) {
+  if (!state.roomPlans || EXITS.has(nodeId)) return '';
+  const route = state.roomPlans[nodeId];
+  if (!route) return ' node-trapped';
+  const bucket = HEAT_STEPS.findIndex(t => route.time < t);
+  return ` node-heat-${bucket < 0 ? HEAT_STEPS.length : bucket}`;
 }
 
 // ─────────────────────────────────────────────────────────────
-// ROUTE PANEL
+// WHAT-IF ANALYSIS (single points of failure, resilience.js)
 // ─────────────────────────────────────────────────────────────
-function renderRoutePanel() {
-  const panel = document.getElementById('route-panel');
-  if (!panel) return;
+// Analysed on top of the current hazards; _recalculate refreshes the report while the mode is on
+const RESILIENCE_STEPS = [1, 2, 5, 10]; // rooms cut off → node-spof-1 … node-spof-4
 
-  if (state.evacuationFailed) {
-    panel.innerHTML = `
-      <div class="route-failed">
-        <div class="failed-icon">☠</div>
-        <div class="failed-title">EVACUATION FAILED</div>
-        <div class="failed-sub">No safe exit available from Control Room.<br>All viable routes are blocked by hazards.</div>
-        <div class="failed-actions">
-          <button class="btn btn-reset" onclick="resetAll()">🔄 Clear All Hazards</button>
-        </div>
-      </div>`;
-    updateStatusBar('FAILED', 'danger');
+function getResilienceRooms() {
+  return Object.keys(NODES).filter(id => NODES[id].type === 'room' || NODES[id].type === 'control');
+}
+
+function setResilience(enabled) {
+  state.resilience.enabled = enabled;
+  state.resilience.announce = enabled;
+  refreshResilience();
+  renderResiliencePanel();
+  renderMap();
+}
+
+// Starts a report for the current hazards in the background, dropping one
+// still being worked out
+function refreshResilience() {
+  state.resilience.job?.cancel();
+  state.resilience.job = null;
+  if (!state.resilience.enabled) {
+    state.resilience.report = null;
     return;
   }
+  const base = { nodes: state.hazardNodes, edges: state.hazardEdges, types: state.hazardTypes };
+  state.resilience.job = runResilienceAnalysis(ROUTE_GRAPH, getResilienceRooms(), base, {
+    onDone: (report) => {
+      state.resilience.job = null;
+      state.resilience.report = report;
+      if (state.resilience.announce) {
+        state.resilience.announce = false;
+        const spof = report.elements.filter(e => e.dependents.length).length;
+        logAudit(`🧩 What-if analysis — ${spof} single point${spof !== 1 ? 's' : ''} of failure across ${report.rooms.length} rooms${report.truncated ? ' (double hazards truncated)' : ''}`, spof ? 'warn' : 'ok');
+      }
+      renderResiliencePanel();
+      renderMap();
+    },
+    onError: (message) => {
+      state.resilience.job = null;
+      logAudit(`✗ What-if analysis failed: ${escapeHtml(message)}`, 'danger');
+    },
+  });
+}
 
-  if (!state.currentPath) {
-    panel.innerHTML = `<div class="route-idle"><div class="idle-icon">🛡</div><p>Building is clear. No hazards detected.</p><p class="idle-sub">Click any room on the map to simulate a hazard.</p></div>`;
-    updateStatusBar('CLEAR', 'safe');
+function getResilienceDependents(id) {
+  return state.resilience.report?.elements.find(e => e.id === id)?.dependents.length || 0;
+}
+
+function getResilienceClass(nodeId) {
+  const count = getResilienceDependents(nodeId);
+  if (!count) return '';
+  return ` node-spof-${RESILIENCE_STEPS.filter(t => count >= t).length}`;
+}
+
+function resilienceLabel(id) {
+  return id.includes('::') ? edgeLabel(id) : NODES[id]?.label || id;
+}
+
+function sortResilience(table, column) {
+  const [current, direction] = state.resilience.sort[table];
+  state.resilience.sort[table] = [column, current === column ? -direction : column === 'name' ? 1 : -1];
+  renderResiliencePanel();
+}
+
+// Sortable table: columns are { key, label, value(row), html?(row) }
+function renderResilienceTable(table, columns, rows) {
+  const [key, direction] = state.resilience.sort[table];
+  const column = columns.find(c => c.key === key) || columns[0];
+  const sorted = [...rows].sort((x, y) => {
+    const a = column.value(x);
+    const b = column.value(y);
+    return (typeof a === 'string' ? a.localeCompare(b) : a - b) * direction;
+  });
+  const head = columns.map(c => `<th class="${c.key === key ? 'sorted' : ''}" onclick="sortResilience('${table}', '${c.key}')">${c.label}${c.key === key ? (direction < 0 ? ' ▾' : ' ▴') : ''}</th>`).join('');
+  const body = sorted.map(row => `<tr${row.cut ? ' class="resilience-cut"' : ''}>${columns.map(c => {
+    const value = c.value(row);
+    return `<td${typeof value === 'number' ? ' class="resilience-num"' : ''}>${c.html ? c.html(row) : value}</td>`;
+  }).join('')}</tr>`).join('');
+  return `<table class="resilience-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function renderResiliencePanel() {
+  const pane = document.getElementById('resilience-pane');
+  if (!pane) return;
+  const report = state.resilience.report;
+  if (!report) {
+    pane.innerHTML = state.resilience.enabled
+      ? '<div class="resilience-summary">Working out the what-if report…</div>'
+      : '<div class="resilience-summary">Turn on the what-if analysis to find nodes and connections whose loss cuts rooms off from every exit.</div>';
     return;
   }
 
-  const path = state.currentPath;
-  const exitNode = path[path.length - 1];
-  const exitLabel = NODES[exitNode]?.label || exitNode;
-  const hops = path.length - 1;
+  const elements = report.elements.filter(e => e.dependents.length || (e.cut && e.onRoutes));
+  const pair = ([a, b]) => `${resilienceLabel(a)} + ${resilienceLabel(b)}`;
+  const hazardsFor = (id) => {
+    const { single, double } = report.byRoom[id];
+    const lines = [];
+    if (single.length) lines.push(single.slice(0, 4).map(resilienceLabel).join(' · '));
+    if (double.length) lines.push(double.slice(0, 2).map(pair).join(' · ') + (double.length > 2 ? ' …' : ''));
+    return `${NODES[id].label}<div class="resilience-hazards">${lines.join('<br>')}</div>`;
+  };
+
+  pane.innerHTML = `
+    <div class="resilience-summary">Choke points on current routes: <strong>${report.articulation.map(resilienceLabel).join(', ') || 'none'}</strong></div>
+    <div class="resilience-summary">Bridges (the only link): <strong>${report.bridges.length}</strong>${report.trapped.length ? ` · ${report.trapped.length} room${report.trapped.length !== 1 ? 's' : ''} already trapped` : ''}</div>
+    <div class="resilience-title">Rooms cut off by one hazard</div>
+    ${elements.length ? renderResilienceTable('elements', [
+      { key: 'name', label: 'Node / connection', value: e => resilienceLabel(e.id), html: e => resilienceLabel(e.id) + (e.cut ? (e.kind === 'edge' ? ' · bridge' : ' · choke point') : '') },
+      { key: 'dependents', label: 'Cut off', value: e => e.dependents.length },
+      { key: 'onRoutes', label: 'Routes', value: e => e.onRoutes },
+    ], elements) : '<div class="resilience-summary">No single hazard cuts any room off.</div>'}
+    <div class="resilience-title">Hazards that strand each room</div>
+    ${renderResilienceTable('rooms', [
+      { key: 'name', label: 'Room', value: id => NODES[id].label, html: hazardsFor },
+      { key: 'single', label: 'Single', value: id => report.byRoom[id].single.length },
+      { key: 'double', label: 'Double', value: id => report.byRoom[id].double.length },
+    ], report.rooms)}
+    <div class="resilience-summary">${report.pairsChecked} double-hazard scenarios checked${report.truncated ? ' — limit reached, list incomplete' : ''}</div>`;
+}
 
-  // Alt paths
-  const alts = findAlternativePaths(ADJACENCY, EXITS, START_NODE, state.hazardNodes, state.hazardEdges, 3);
+// ─────────────────────────────────────────────────────────────
+// DRILL MODE (drill.js)
+// ─────────────────────────────────────────────────────────────
+// The live scenario is put aside like a replay's and restored by endDrill.
+// The trainee clicks a route from the start; reaching an exit, or Submit, scores it.
+
+// Scenario edits are refused during a drill; returns true when one is running
+function drillLocked() {
+  if (!state.drill.active) return false;
+  showToast('Finish the drill to change the scenario', 'info');
+  return true;
+}
 
-  let stepsHtml = path.map((id, i) => {
-    const node = NODES[id];
-    const isLast = i === path.length - 1;
-    const icon = id === START_NODE ? '🎯' : EXITS.has(id) ? '🚪' : NODES[id]?.type === 'stair' ? '🪜' : '→';
-    return `<div class="route-step ${isLast ? 'route-step-exit' : ''}" style="animation-delay:${i * 0.07}s">
-      <span class="step-icon">${icon}</span>
-      <span class="step-label">${node?.label || id}</span>
-      <span class="step-floor">${FLOORS[node?.floor]?.label || ''}</span>
-      ${i < path.length - 1 ? '<div class="step-connector"></div>' : ''}
-    </div>`;
-  }).join('');
+function populateDrillScenarios() {
+  const select = document.getElementById('drill-scenario');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">🎲 Random scenario</option>' + Object.keys(allPresets())
+    .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    .join('');
+  if ([...select.options].some(o => o.value === current)) select.value = current;
+}
 
-  let altHtml = '';
-  if (alts.length > 1) {
-    altHtml = `<div class="alt-routes">
-      <div class="alt-title">Alternative Routes</div>
-      ${alts.slice(1).map((alt, i) => {
-        const altExit = NODES[alt[alt.length - 1]]?.label || alt[alt.length - 1];
-        return `<div class="alt-route">
-          <span class="alt-num">${i + 2}</span>
-          <span class="alt-path">${alt.map(id => NODES[id]?.label || id).join(' → ')}</span>
-          <span class="alt-exit">→ ${altExit}</span>
-        </div>`;
-      }).join('')}
-    </div>`;
+function startDrill() {
+  if (state.drill.active || replayLocked()) return;
+  const trainee = (document.getElementById('drill-trainee')?.value || '').trim();
+  if (!trainee) {
+    showToast('Enter the trainee\'s name first', 'error');
+    return;
+  }
+
+  const presetName = document.getElementById('drill-scenario')?.value || '';
+  let drill;
+  if (presetName) {
+    drill = { name: presetName, start: state.startNode, preset: allPresets()[presetName] };
+    const scenario = createScenario();
+    loadPreset(scenario, drill.preset);
+    const { status } = evaluateScenario(ROUTE_GRAPH, scenario, drill.start, { k: 1 }, state.profile);
+    if (status === 'failed' || status === 'refuge') {
+      showToast(`No exit can be reached from ${NODES[drill.start].label} in "${presetName}" — choose another start`, 'error');
+      return;
+    }
+  } else {
+    drill = randomDrillScenario(ROUTE_GRAPH, state.drill.seed, state.profile);
+    if (!drill) {
+      showToast('Could not build a random drill with a way out on this building', 'error');
+      return;
+    }
+    state.drill.seed++;
+    const seedInput = document.getElementById('drill-seed');
+    if (seedInput) seedInput.value = state.drill.seed;
+  }
+
+  // The overlays would give the answer away
+  if (state.allRooms) setAllRooms(false);
+  if (state.responder.enabled) setResponderMode(false);
+  stopTimer();
+  state.drill.live = {
+    hazardNodes: new Set(state.hazardNodes), hazardEdges: new Set(state.hazardEdges), hazardTypes: { ...state.hazardTypes },
+    startNode: state.startNode, timerSeconds: state.timerSeconds,
+  };
+  Object.assign(state.drill, { active: true, trainee, name: drill.name, start: drill.start, path: [drill.start], result: null });
+  clearHazards(state);
+  loadPreset(state, drill.preset);
+  state.startNode = drill.start;
+  state.timerSeconds = 0;
+  updateTimerDisplay();
+  _recalculate();
+  renderMap();
+  renderNodeList();
+  logAudit(`🎓 Drill: ${escapeHtml(trainee)} — ${escapeHtml(drill.name)} from ${NODES[drill.start].label}`, 'info');
+  startTimer();
+}
+
+// A click during a drill: the next step of the route, or undo when it is the last step
+function addDrillStep(nodeId) {
+  const drill = state.drill;
+  if (drill.result) return;
+  const last = drill.path[drill.path.length - 1];
+  if (nodeId === last) {
+    if (drill.path.length > 1) {
+      drill.path.pop();
+      renderMap();
+      renderRoutePanel();
+    }
+    return;
+  }
+  if (!(ROUTE_GRAPH.adjacency[last] || []).includes(nodeId)) {
+    showToast(`${NODES[nodeId]?.label || nodeId} cannot be reached from ${NODES[last]?.label || last}`, 'info');
+    return;
+  }
+  drill.path.push(nodeId);
+  renderMap();
+  renderRoutePanel();
+  if (EXITS.has(nodeId)) submitDrill();
+}
+
+function undoDrillStep() {
+  const drill = state.drill;
+  if (drill.active && !drill.result && drill.path.length > 1) addDrillStep(drill.path[drill.path.length - 1]);
+}
+
+function submitDrill() {
+  const drill = state.drill;
+  if (!drill.active || drill.result) return;
+  stopTimer();
+  const scored = scoreDrill(ROUTE_GRAPH, state, drill.start, drill.path, state.timerSeconds, state.profile);
+  drill.result = {
+    trainee: drill.trainee,
+    scenario: drill.name,
+    start: drill.start,
+    profile: state.profile,
+    path: [...drill.path],
+    seconds: state.timerSeconds,
+    valid: scored.valid,
+    problems: scored.problems,
+    score: scored.score,
+    parts: scored.parts,
+    optimal: scored.optimal
+      ? { path: scored.optimal.path, distance: Math.round(scored.optimal.distance * 10) / 10, time: Math.round(scored.optimal.time * 10) / 10 }
+      : null,
+    distance: scored.route ? Math.round(scored.route.distance * 10) / 10 : null,
+    at: new Date().toISOString(),
+  };
+  if (!saveDrillResult(drill.result)) showToast('Could not save the drill result (storage unavailable)', 'error');
+  drill.history = readDrillHistory();
+  logAudit(`🎓 Drill scored: ${escapeHtml(drill.trainee)} — ${drill.result.score}/100${scored.valid ? '' : ' (route not valid)'} in ${formatClock(drill.result.seconds)}`, scored.valid ? 'ok' : 'warn');
+  renderMap();
+  renderRoutePanel();
+  renderDrillHistory();
+}
+
+function endDrill() {
+  const drill = state.drill;
+  if (!drill.active) return;
+  stopTimer();
+  const { live } = drill;
+  state.hazardNodes = live.hazardNodes;
+  state.hazardEdges = live.hazardEdges;
+  state.hazardTypes = live.hazardTypes;
+  state.startNode = live.startNode;
+  state.timerSeconds = live.timerSeconds;
+  Object.assign(drill, { active: false, path: [], result: null, live: null });
+  updateTimerDisplay();
+  _recalculate();
+  renderMap();
+  renderNodeList();
+}
+
+function renderDrillPanel() {
+  const drill = state.drill;
+  const result = drill.result;
+  const label = id => NODES[id]?.label || id;
+  const header = `
+    <div class="route-header">
+      <div class="route-status-badge route-status-warn">🎓 DRILL · ${escapeHtml(drill.trainee)}</div>
+      <div class="route-meta">${escapeHtml(drill.name)} · from <strong>${label(drill.start)}</strong></div>
+    </div>`;
+  const yourRoute = `<div class="drill-route"><strong>Your route:</strong> ${drill.path.map(label).join(' → ')}</div>`;
+
+  if (!result) {
+    return `
+      <div class="route-success">
+        ${header}
+        <div class="route-warn">Click your way out on the map, one room at a time. Click the last step again to undo. Reaching an exit submits the route.</div>
+        ${yourRoute}
+        <div class="drill-actions">
+          <button class="btn btn-secondary" onclick="undoDrillStep()">↶ Undo</button>
+          <button class="btn btn-primary" onclick="submitDrill()">✓ Submit</button>
+          <button class="btn btn-reset" onclick="endDrill()">✕ Cancel</button>
+        </div>
+      </div>`;
+  }
+
+  const part = (key, name) => `
+    <div class="drill-part"><span>${name}</span><div class="drill-bar"><i style="width:${result.parts[key]}%"></i></div><span>${result.parts[key]}</span></div>`;
+  const best = result.optimal
+    ? `${result.optimal.path.map(label).join(' → ')} <span class="route-meta-sub">${formatDistance(result.optimal.distance)} · ~${formatDuration(result.optimal.time)}</span>`
+    : 'none — no exit can be reached';
+  return `
+    <div class="route-success">
+      ${header}
+      <div class="drill-score${!result.valid ? ' drill-score-fail' : result.score < 70 ? ' drill-score-low' : ''}">${result.score}<span> / 100</span></div>
+      <div class="route-meta-sub">${result.valid ? 'Valid route' : 'Route not valid'} · answered in ${formatClock(result.seconds)}</div>
+      ${result.valid
+        ? part('length', 'Length') + part('hazards', 'Hazards') + part('time', 'Time')
+        : `<ul class="drill-problems">${result.problems.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>`}
+      ${yourRoute}
+      <div class="drill-route drill-route-best"><strong>Best route:</strong> ${best}</div>
+      <div class="drill-actions"><button class="btn btn-primary" onclick="endDrill()">Close drill</button></div>
+    </div>`;
+}
+
+function exportDrillCsv() {
+  const history = state.drill.history;
+  if (!history.length) {
+    showToast('No drills recorded yet', 'info');
+    return;
+  }
+  downloadFile(`drills-${fileSlug(state.building.name)}.csv`, drillHistoryCsv(history), 'text/csv');
+  showToast(`Drill history exported — ${history.length} result${history.length !== 1 ? 's' : ''}`, 'ok');
+}
+
+// Per-trainee stats, then the latest results
+function renderDrillHistory() {
+  const pane = document.getElementById('drill-history');
+  if (!pane) return;
+  const history = state.drill.history;
+  if (!history.length) {
+    pane.innerHTML = '<div class="resilience-summary">No drills yet. Enter a trainee name and start a drill.</div>';
+    return;
+  }
+
+  pane.innerHTML = `
+    <div class="resilience-title">Trainees</div>
+    <table class="resilience-table">
+      <thead><tr><th>Trainee</th><th>Drills</th><th>Valid</th><th>Best</th><th>Mean</th><th>Time</th></tr></thead>
+      <tbody>${traineeStats(history).map(s => `
+        <tr>
+          <td>${escapeHtml(s.trainee)}</td>
+          <td class="resilience-num">${s.drills}</td>
+          <td class="resilience-num">${s.valid}</td>
+          <td class="resilience-num">${s.best}</td>
+          <td class="resilience-num">${s.mean}</td>
+          <td class="resilience-num">${formatClock(s.meanSeconds)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    <div class="resilience-title">Recent drills</div>
+    <table class="resilience-table">
+      <thead><tr><th>Trainee</th><th>Scenario</th><th>Score</th><th>Time</th></tr></thead>
+      <tbody>${history.slice(-12).reverse().map(r => `
+        <tr${r.valid ? '' : ' class="resilience-cut"'}>
+          <td>${escapeHtml(r.trainee)}</td>
+          <td>${escapeHtml(r.scenario)}</td>
+          <td class="resilience-num">${r.score}</td>
+          <td class="resilience-num">${formatClock(r.seconds)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// RESPONDER INGRESS (fire crew approach routes, responder.js)
+// ─────────────────────────────────────────────────────────────
+// Planned on top of the current hazards; _recalculate refreshes the plan while the mode is on
+function setResponderMode(enabled) {
+  state.responder.enabled = enabled;
+  _recalculate();
+  renderMap();
+  if (enabled) {
+    const { fires, trapped } = state.responder.plan;
+    logAudit(`🚒 Responder mode from ${NODES[state.responder.origin].label} — ${fires.length} fire${fires.length !== 1 ? 's' : ''}, ${trapped.length} trapped room${trapped.length !== 1 ? 's' : ''}`, trapped.length ? 'warn' : 'info');
+  }
+}
+
+function setResponderOrigin(id) {
+  if (!NODES[id] || id === state.responder.origin) return;
+  state.responder.origin = id;
+  logAudit(`🚒 Crew enters at: ${NODES[id].label}`, 'info');
+  _recalculate();
+  renderMap();
+}
+
+// Clicking the approach on show goes back to the nearest one
+function selectResponderTarget(id) {
+  state.responder.target = state.responder.target === id ? null : id;
+  renderResponderPanel();
+  renderMap();
+}
+
+// The approach drawn on the map: the selected target, or the nearest reachable one
+function getResponderApproach() {
+  const plan = state.responder.plan;
+  if (!plan) return null;
+  const approaches = [...plan.fires, ...plan.trapped];
+  return approaches.find(a => a.target === state.responder.target) || approaches.find(a => a.route) || null;
+}
+
+function getResponderClass(nodeId) {
+  const approach = getResponderApproach();
+  if (!approach) return '';
+  if (nodeId === approach.target) return ' node-responder-target';
+  if (nodeId === approach.stage) return ' node-staging';
+  return approach.route?.path.includes(nodeId) ? ' node-responder' : '';
+}
+
+function populateResponderOrigins() {
+  const origins = responderOrigins(NODES, EXITS);
+  if (!origins.includes(state.responder.origin)) state.responder.origin = origins[0] || null;
+  state.responder.target = null;
+  const select = document.getElementById('responder-origin');
+  if (!select) return;
+  select.innerHTML = origins.map(id => `<option value="${id}">${NODES[id].label} — ${FLOORS[NODES[id].floor].label}</option>`).join('');
+  select.value = state.responder.origin;
+}
+
+function renderResponderPanel() {
+  const pane = document.getElementById('responder-pane');
+  if (!pane) return;
+  const plan = state.responder.plan;
+  if (!plan) {
+    pane.innerHTML = '<div class="responder-summary">Turn on responder mode to plan fire crew approaches to each fire and every trapped room.</div>';
+    return;
+  }
+
+  const shown = getResponderApproach();
+  const row = (approach, icon) => {
+    const { target, stage, route } = approach;
+    const smoke = route ? route.hazards.map(h => NODES[h.id].label) : [];
+    return `
+      <div class="responder-row${approach === shown ? ' active' : ''}${route ? '' : ' responder-none'}" onclick="selectResponderTarget('${target}')">
+        <span class="responder-icon">${icon}</span>
+        <span class="responder-target">${NODES[target].label}
+          ${stage ? `<div class="responder-detail">Stage at ${NODES[stage].label}</div>` : ''}
+          ${route ? `<div class="responder-detail">${route.path.map(id => NODES[id].label).join(' → ')}</div>` : ''}
+          ${smoke.length ? `<div class="responder-detail">Through smoke: ${smoke.join(', ')}</div>` : ''}
+        </span>
+        <span class="responder-time">${route ? formatDuration(route.time) : 'no approach'}</span>
+      </div>`;
+  };
+
+  pane.innerHTML = `
+    <div class="responder-summary">Crew enters at <strong>${NODES[plan.origin].label}</strong> · smoke is passable in breathing apparatus, fire never is</div>
+    <div class="resilience-title">Fires</div>
+    ${plan.fires.length ? plan.fires.map(a => row(a, '🔥')).join('') : '<div class="responder-summary">No fires on the map.</div>'}
+    <div class="resilience-title">Trapped rooms</div>
+    ${plan.trapped.length ? plan.trapped.map(a => row(a, '🆘')).join('') : '<div class="responder-summary">Every room can reach an exit.</div>'}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// MONTE CARLO RISK ANALYSIS (riskSim.js, runs in riskWorker.js)
+// ─────────────────────────────────────────────────────────────
+const RISK_EXIT_COLORS = ['#00ff88', '#00d4ff', '#ffb800', '#e040fb', '#ff6b2b', '#7a9bbf'];
+
+// Starts a run, or cancels the one in progress
+function toggleRiskAnalysis() {
+  if (state.risk.job) {
+    cancelRiskAnalysis();
+    logAudit('■ Risk analysis cancelled', 'info');
+    return;
+  }
+
+  const runs = parseInt(document.getElementById('risk-runs')?.value, 10) || RISK_DEFAULTS.runs;
+  const seed = parseInt(document.getElementById('risk-seed')?.value, 10) || 0;
+  const building = {
+    nodes: NODES, floors: FLOORS, adjacency: ADJACENCY, exits: [...EXITS], lengths: EDGE_LENGTHS,
+    edges: edgesFromAdjacency(ADJACENCY), geometry: state.building.geometry,
+  };
+  const started = Date.now();
+  setRiskRunning(true);
+
+  state.risk.job = runRiskAnalysis(building, getResilienceRooms(), { runs, seed }, {
+    onProgress: (done, total) => {
+      const fill = document.getElementById('risk-progress-fill');
+      if (fill) fill.style.width = `${(done / total) * 100}%`;
+    },
+    onDone: (report) => {
+      state.risk.job = null;
+      state.risk.report = report;
+      setRiskRunning(false);
+      renderRiskReport();
+      const [worstId, worst] = Object.entries(report.rooms).sort((a, b) => b[1].failure - a[1].failure)[0] || [];
+      const seconds = ((Date.now() - started) / 1000).toFixed(1);
+      logAudit(`🎲 Risk analysis — ${report.runs} scenarios (seed ${report.seed}) in ${seconds}s${worst ? ` · worst: ${NODES[worstId]?.label || worstId} fails ${formatShare(worst.failure)}` : ''}`, 'info');
+    },
+    onError: (message) => {
+      state.risk.job = null;
+      setRiskRunning(false);
+      logAudit(`✗ Risk analysis failed: ${escapeHtml(message)}`, 'danger');
+      showToast('Risk analysis failed', 'error');
+    },
+  });
+}
+
+function cancelRiskAnalysis() {
+  if (!state.risk.job) return;
+  state.risk.job.cancel();
+  state.risk.job = null;
+  setRiskRunning(false);
+}
+
+function setRiskRunning(running) {
+  const btn = document.getElementById('btn-risk-run');
+  if (btn) btn.textContent = running ? '■ Cancel' : '▶ Run Analysis';
+  const bar = document.getElementById('risk-progress');
+  if (bar) bar.classList.toggle('active', running);
+  const fill = document.getElementById('risk-progress-fill');
+  if (fill && running) fill.style.width = '0%';
+}
+
+function formatShare(x) {
+  return `${(x * 100).toFixed(x > 0 && x < 0.01 ? 1 : 0)}%`;
+}
+
+function renderRiskReport() {
+  const container = document.getElementById('risk-report');
+  if (!container) return;
+  const report = state.risk.report;
+  if (!report) {
+    container.innerHTML = '<div class="risk-summary">Samples random fires — kitchens, plant and server rooms ignite more often — lets fire and smoke spread, then routes every room. The same seed always gives the same report.</div>';
+    return;
+  }
+
+  const exitIds = [...new Set(Object.values(report.rooms).flatMap(r => Object.keys(r.exits)))];
+  const exitColor = id => RISK_EXIT_COLORS[exitIds.indexOf(id) % RISK_EXIT_COLORS.length];
+  const label = id => NODES[id]?.label || id;
+  const hottest = Object.entries(report.burned).sort((a, b) => b[1] - a[1]).slice(0, 4);
+  const rows = Object.entries(report.rooms)
+    .sort((a, b) => b[1].failure - a[1].failure || (b[1].meanDistance || 0) - (a[1].meanDistance || 0));
+
+  container.innerHTML = `
+    <div class="risk-meta">${report.runs} scenarios · seed ${report.seed} · ${report.ticks} spread ticks</div>
+    <div class="risk-summary">Most often burning: <strong>${hottest.map(([id, p]) => `${label(id)} ${formatShare(p)}`).join(', ') || '—'}</strong></div>
+    <div class="risk-summary">${exitIds.map(id => `<span style="color:${exitColor(id)}">■</span> ${label(id)}`).join(' &nbsp;')}</div>
+    <table class="resilience-table">
+      <thead><tr><th>Room</th><th>Failure</th><th>Mean route</th></tr></thead>
+      <tbody>${rows.map(([id, r]) => `
+        <tr>
+          <td>${label(id)}
+            <div class="risk-exits" title="Exits used">${Object.entries(r.exits).map(([exit, p]) => `<span style="width:${p * 100}%;background:${exitColor(exit)}" title="${label(exit)} ${formatShare(p)}"></span>`).join('')}</div>
+          </td>
+          <td class="resilience-num${r.failure >= 0.05 ? ' risk-high' : ''}">${formatShare(r.failure)}</td>
+          <td class="resilience-num">${r.meanDistance !== null ? formatDistance(r.meanDistance) : '—'}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// SVG MAP RENDERING
+// ─────────────────────────────────────────────────────────────
+// The planner's route, or null while a drill is waiting for the trainee's answer
+function getShownPath() {
+  return state.drill.active && !state.drill.result ? null : state.currentPath;
+}
+
+// A campus routes on to its assembly points; its buildings' doors still show as exits
+function isExitNode(nodeId) {
+  return EXITS.has(nodeId) || (!!state.campus && NODES[nodeId]?.type === 'exit');
+}
+
+function getNodeStatus(nodeId) {
+  const path = getShownPath();
+  if (nodeId === state.startNode) return 'start';
+  if (isExitNode(nodeId) && state.hazardNodes.has(nodeId)) return 'exit-blocked';
+  if (isExitNode(nodeId)) return 'exit';
+  if (state.hazardNodes.has(nodeId)) {
+    return path && path.includes(nodeId) ? 'hazard-path' : 'hazard';
+  }
+  if (path && path.includes(nodeId)) return 'path';
+  return 'safe';
+}
+
+function getHazardIcon(type) {
+  const icons = { fire: '🔥', smoke: '💨', closed: '🔒', exit_blocked: '🚫', blocked_path: '⛔' };
+  return icons[type] || '⚠';
+}
+
+// One node card
+//   steps  the route whose step numbers are shown, or null
+function renderMapNode(id, steps) {
+  const node = NODES[id];
+  const status = getNodeStatus(id);
+  const hazardType = state.hazardTypes[id];
+  const isOnPath = !!getShownPath()?.includes(id);
+  const isStart = id === state.startNode;
+  const isExit = isExitNode(id);
+
+  let classes = `map-node node-${status} node-type-${node.type}${getHeatClass(id)}${getResilienceClass(id)}${getResponderClass(id)}`;
+  if (isOnPath) classes += ' node-on-path';
+  if (state.drill.active && state.drill.path.includes(id)) classes += ' node-drill-path';
+  const roomPlan = state.roomPlans && !isExit ? state.roomPlans[id] : undefined;
+
+  const pathIndex = steps ? steps.indexOf(id) : -1;
+  const stepLabel = pathIndex >= 0 ? `<span class="path-step${steps === state.drill.path ? ' drill-step' : ''}">${pathIndex + 1}</span>` : '';
+
+  return `
+    <div class="${classes}" data-id="${id}" onclick="handleNodeClick('${id}')" title="${node.label}${hazardType ? ' [' + hazardType + ']' : ''}">
+      <div class="node-inner">
+        ${isStart ? '<span class="node-badge start-badge">START</span>' : ''}
+        ${isExit && !hazardType ? `<span class="node-badge exit-badge">${node.type === 'assembly' ? 'ASSEMBLY' : 'EXIT'}</span>` : ''}
+        ${hazardType ? `<span class="hazard-icon">${getHazardIcon(hazardType)}</span>` : ''}
+        ${stepLabel}
+        <span class="node-label">${node.label}</span>
+        <span class="node-type-tag">${node.type}</span>
+        ${roomPlan ? `<span class="node-heat-time">${formatDuration(roomPlan.time)}</span>` : ''}
+        ${roomPlan === null ? '<span class="node-badge trapped-badge">TRAPPED</span>' : ''}
+        ${getResponderApproach()?.stage === id ? '<span class="node-badge staging-badge">STAGE</span>' : ''}
+        ${getResilienceDependents(id) ? `<span class="node-spof-count" title="Rooms cut off if this is lost">⚠${getResilienceDependents(id)}</span>` : ''}
+      </div>
+    </div>`;
+}
+
+function renderMap() {
+  const container = document.getElementById('svg-map-container');
+  if (!container) return;
+  if (state.campus && !state.campus.view) {
+    renderCampusOverview(container);
+    return;
+  }
+
+  // Group nodes by floor — on a campus, the floors of the building on show
+  const building = state.campus ? state.campus.buildings.find(b => b.id === state.campus.view) : null;
+  const floorOrder = building ? building.floors : state.building.floorOrder;
+  const shownPath = getShownPath();
+  // Step numbers follow the trainee's route until the drill is scored
+  const steps = shownPath || (state.drill.active ? state.drill.path : null);
+
+  let html = building ? `<div class="campus-bar">
+      <button class="campus-back" onclick="showCampusView(null)">◀ Campus</button>
+      <span class="campus-bar-name">${escapeHtml(building.name)}</span>
+    </div>` : '';
+
+  for (const floor of floorOrder) {
+    const floorNodes = Object.keys(NODES).filter(id => NODES[id].floor === floor);
+    if (!floorNodes.length) continue;
+
+    const floorInfo = FLOORS[floor];
+    html += `<div class="floor-section" data-floor="${floor}">
+      <div class="floor-label">${floorInfo.floorLabel || floorInfo.label}</div>
+      <div class="floor-nodes">`;
+    html += floorNodes.map(id => renderMapNode(id, steps)).join('');
+    html += `</div></div>`;
+  }
+
+  container.innerHTML = html;
+
+  // Animate path nodes
+  if (shownPath) {
+    shownPath.forEach((id, idx) => {
+      const el = container.querySelector(`[data-id="${id}"]`);
+      if (el) el.style.animationDelay = `${idx * 0.08}s`;
+    });
+  }
+}
+
+function handleNodeClick(nodeId) {
+  toggleHazard(nodeId);
+}
+
+// ─────────────────────────────────────────────────────────────
+// CAMPUS OVERVIEW (campus.js)
+// ─────────────────────────────────────────────────────────────
+// One card per building — click to open its floors — then the outdoor
+// points and the paths between them. A path can be blocked from its row.
+function renderCampusOverview(container) {
+  const campus = state.campus;
+  const shownPath = getShownPath();
+  const steps = shownPath || (state.drill.active ? state.drill.path : null);
+
+  const cards = campus.buildings.map(b => {
+    const own = id => campusBuildingOf(id) === b.id;
+    const hazards = [...state.hazardNodes].filter(own).length;
+    const isStart = own(state.startNode);
+    let classes = 'campus-card';
+    if (shownPath?.some(own)) classes += ' campus-on-path';
+    if (hazards) classes += ' campus-hazard';
+    if (isStart) classes += ' campus-start';
+    return `
+      <div class="${classes}" onclick="showCampusView('${b.id}')" title="Open ${escapeHtml(b.name)}">
+        ${isStart ? '<span class="node-badge start-badge">START</span>' : ''}
+        <span class="campus-card-name">${escapeHtml(b.name)}</span>
+        <span class="campus-card-meta">${b.floors.length} floor${b.floors.length !== 1 ? 's' : ''} · ${b.doors.length} door${b.doors.length !== 1 ? 's' : ''}${hazards ? ` · ${hazards} hazard${hazards !== 1 ? 's' : ''}` : ''}</span>
+      </div>`;
+  }).join('');
+
+  const paths = campus.outdoor.edges.map(([a, b]) => {
+    const key = edgeKey(a, b);
+    const blocked = state.hazardEdges.has(key);
+    const onPath = shownPath ? shownPath.some((id, i) => edgeKey(id, shownPath[i + 1] ?? '') === key) : false;
+    return `
+      <div class="campus-path${onPath ? ' campus-on-path' : ''}${blocked ? ' campus-blocked' : ''}" onclick="toggleEdgeHazard('${a}', '${b}')" title="${blocked ? 'Clear' : 'Block'} this path">
+        <span>${blocked ? getHazardIcon('blocked_path') : '↔'}</span>
+        <span class="campus-path-name">${edgeLabel(key)}</span>
+        <span class="campus-path-length">${formatDistance(ROUTE_GRAPH.edges[key].length)}</span>
+      </div>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="floor-section">
+      <div class="floor-label">Buildings</div>
+      <div class="campus-cards">${cards}</div>
+    </div>
+    <div class="floor-section" data-floor="${OUTDOOR_FLOOR}">
+      <div class="floor-label">${FLOORS[OUTDOOR_FLOOR].label}</div>
+      <div class="floor-nodes">${campus.outdoor.nodes.map(id => renderMapNode(id, steps)).join('')}</div>
+    </div>
+    <div class="floor-section">
+      <div class="floor-label">Outdoor paths</div>
+      <div class="campus-paths">${paths}</div>
+    </div>`;
+}
+
+// Open one building's floors, or the overview with null
+function showCampusView(buildingId) {
+  if (!state.campus) return;
+  state.campus.view = buildingId;
+  renderMap();
+}
+
+// ─────────────────────────────────────────────────────────────
+// ROUTE PANEL
+// ─────────────────────────────────────────────────────────────
+// Step icons for node types that change how a route is walked
+const NODE_ICONS = { stair: '🪜', elevator: '🛗', refuge: '🛡', exit: '🚪', outdoor: '🌳', assembly: '⚑' };
+
+// "2 floors by stairs" / "3 floors by lift" — lift rides are flagged on the routing graph edge
+function describeFloors(route) {
+  let lift = 0;
+  for (let i = 1; i < route.path.length; i++) {
+    const e = ROUTE_GRAPH.edges[edgeKey(route.path[i - 1], route.path[i])];
+    if (e?.lift) lift += e.floors;
+  }
+  const plural = n => `${n} floor${n !== 1 ? 's' : ''}`;
+  return [
+    route.floors - lift ? `${plural(route.floors - lift)} by stairs` : '',
+    lift ? `${plural(lift)} by lift` : '',
+  ].filter(Boolean).map(text => ` · ${text}`).join('');
+}
+
+// Profile switcher and why this profile's route differs from the standard one
+function renderProfileSection() {
+  const evaluation = { status: state.routeStatus, route: state.currentRoute };
+  const notes = profileRouteNotes(ROUTE_GRAPH, state, state.startNode, state.profile, evaluation);
+  return `<div class="profile-section">
+      <div class="profile-switch">
+        ${Object.entries(ROUTE_PROFILES).map(([id, p]) => `<button class="profile-btn ${id === state.profile ? 'active' : ''}" onclick="setProfile('${id}')">${p.label}</button>`).join('')}
+      </div>
+      ${notes.length ? `<ul class="profile-notes">${notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>` : ''}
+    </div>`;
+}
+
+function renderRoutePanel() {
+  const panel = document.getElementById('route-panel');
+  if (!panel) return;
+
+  if (state.drill.active) {
+    panel.innerHTML = renderDrillPanel();
+    updateStatusBar(state.drill.result ? `DRILL SCORE ${state.drill.result.score}` : 'DRILL', 'warn');
+    return;
+  }
+
+  if (state.evacuationFailed) {
+    panel.innerHTML = `
+      ${renderProfileSection()}
+      <div class="route-failed">
+        <div class="failed-icon">☠</div>
+        <div class="failed-title">EVACUATION FAILED</div>
+        <div class="failed-sub">No safe exit or refuge available from ${NODES[state.startNode]?.label || state.startNode}.<br>All viable routes are blocked by hazards.</div>
+        <div class="failed-actions">
+          <button class="btn btn-reset" onclick="resetAll()">🔄 Clear All Hazards</button>
+        </div>
+      </div>
+      ${renderFlowSummary()}
+      ${renderAllRoomsSummary()}`;
+    updateStatusBar('FAILED', 'danger');
+    return;
+  }
+
+  if (!state.currentPath) {
+    panel.innerHTML = `<div class="route-idle"><div class="idle-icon">🛡</div><p>Building is clear. No hazards detected.</p><p class="idle-sub">Click any room on the map to simulate a hazard.</p></div>`;
+    updateStatusBar('CLEAR', 'safe');
+    return;
+  }
+
+  const route = state.currentRoute;
+  const path = route.path;
+  const exitNode = path[path.length - 1];
+  const exitLabel = NODES[exitNode]?.label || exitNode;
+  const hops = path.length - 1;
+  const refuge = state.routeStatus === 'refuge';
+
+  // Alt paths — numbered from 2, the best route being 1
+  const alts = state.alternatives;
+  const best = route;
+  const opts = state.altOptions;
+
+  let stepsHtml = path.map((id, i) => {
+    const node = NODES[id];
+    const isLast = i === path.length - 1;
+    const hazard = route.hazards.find(h => h.id === id);
+    const icon = id === state.startNode ? '🎯' : EXITS.has(id) ? '🚪' : NODE_ICONS[NODES[id]?.type] || '→';
+    return `<div class="route-step ${isLast ? (refuge ? 'route-step-refuge' : 'route-step-exit') : ''} ${hazard ? 'route-step-hazard' : ''}" style="animation-delay:${i * 0.07}s">
+      <span class="step-icon">${icon}</span>
+      <span class="step-label">${node?.label || id}
+        ${hazard ? `<span class="step-warn">${getHazardIcon(hazard.type)} through ${hazard.type.replace('_', ' ')}</span>` : ''}
+      </span>
+      <span class="step-floor">${FLOORS[node?.floor]?.label || ''}</span>
+      ${i < path.length - 1 ? '<div class="step-connector"></div>' : ''}
+    </div>`;
+  }).join('');
+
+  const directionsHtml = `<div class="route-directions">
+      <div class="alt-title directions-head">Directions
+        <button class="btn btn-secondary btn-sm" onclick="speakDirections()" title="Read the directions aloud — press again to stop">🔊 Read aloud</button>
+      </div>
+      <ol class="directions-list">${getRouteDirections(route).map(step => `<li>${escapeHtml(instructionText(step))}</li>`).join('')}</ol>
+    </div>`;
+
+  const altOptionsHtml = `<div class="alt-options">
+      <label>K
+        <select onchange="setAltOption('k', Number(this.value))">
+          ${[2, 3, 4, 5, 6].map(k => `<option value="${k}" ${k === opts.k ? 'selected' : ''}>${k}</option>`).join('')}
+        </select>
+      </label>
+      <label><input type="checkbox" ${opts.distinctExits ? 'checked' : ''} onchange="setAltOption('distinctExits', this.checked)"> distinct exits</label>
+      <label><input type="checkbox" ${opts.disjointStairs ? 'checked' : ''} onchange="setAltOption('disjointStairs', this.checked)"> disjoint stairs</label>
+    </div>`;
+
+  const altHtml = `<div class="alt-routes">
+      <div class="alt-title">Alternative Routes</div>
+      ${altOptionsHtml}
+      ${alts.length ? alts.map((alt, i) => {
+        const altExitId = alt.path[alt.path.length - 1];
+        const altExit = NODES[altExitId]?.label || altExitId;
+        return `<div class="alt-route">
+          <span class="alt-num">${i + 2}</span>
+          <span class="alt-path">${alt.path.map(id => NODES[id]?.label || id).join(' → ')}
+            <span class="alt-cost">${formatDistance(alt.distance)} · ~${formatDuration(alt.time)}${alt.degraded ? ' · ⚠ via hazard' : ''}</span>
+            <span class="alt-delta">${formatDelta(alt.distance - best.distance, formatDistance)} / ${formatDelta(alt.time - best.time, formatDuration)} vs best</span>
+          </span>
+          <span class="alt-exit">→ ${altExit}</span>
+        </div>`;
+      }).join('') : '<div class="alt-none">No alternative routes under these constraints</div>'}
+    </div>`;
+
+  panel.innerHTML = `
+    ${renderProfileSection()}
+    <div class="route-success">
+      <div class="route-header">
+        ${refuge
+          ? `<div class="route-status-badge route-status-refuge">🛡 GO TO REFUGE</div>
+             <div class="route-warn">No exit can be reached — wait in the refuge and call for assistance.</div>`
+          : route.degraded
+          ? `<div class="route-status-badge route-status-warn">⚠ DEGRADED ROUTE</div>
+             <div class="route-warn">No clean route — passes through ${route.hazards.length} hazard${route.hazards.length !== 1 ? 's' : ''}. Stay low and move fast.</div>`
+          : '<div class="route-status-badge">✓ ROUTE FOUND</div>'}
+        <div class="route-meta">📏 ${formatDistance(route.distance)} · ⏱ ~${formatDuration(route.time)} walk → <strong>${exitLabel}</strong></div>
+        <div class="route-meta-sub">${hops} step${hops !== 1 ? 's' : ''}${describeFloors(route)}</div>
+      </div>
+      <div class="route-steps">${stepsHtml}</div>
+      ${directionsHtml}
+      ${refuge ? '' : altHtml}
+      ${renderFlowSummary()}
+      ${renderAllRoomsSummary()}
+    </div>`;
+
+  if (refuge) updateStatusBar(`🛡 REFUGE → ${exitLabel}`, 'warn');
+  else if (route.degraded) updateStatusBar(`⚠ VIA HAZARD → ${exitLabel}`, 'warn');
+  else updateStatusBar(`EVACUATE → ${exitLabel}`, 'safe');
+}
+
+// Turn-by-turn directions for a route (instructions.js)
+function getRouteDirections(route) {
+  return routeInstructions({ nodes: NODES, floors: FLOORS, adjacency: ADJACENCY, exits: EXITS }, route, state);
+}
+
+// Reads the current route's directions with the browser's speech synthesis;
+// pressing again while it speaks stops it.
+function speakDirections() {
+  const synth = window.speechSynthesis;
+  if (!synth || !window.SpeechSynthesisUtterance) {
+    showToast('This browser cannot read aloud', 'error');
+    return;
+  }
+  if (synth.speaking) {
+    synth.cancel();
+    return;
+  }
+  if (!state.currentRoute || (state.drill.active && !state.drill.result)) return;
+  synth.speak(new SpeechSynthesisUtterance(instructionsText(getRouteDirections(state.currentRoute))));
+}
+
+// Flow plan: clearance time vs timer, people per exit, worst queues, trapped occupants
+function renderFlowSummary() {
+  const flow = state.flowPlan;
+  if (!flow) return '';
+  const labelOf = key => key.includes('::')
+    ? key.split('::').map(id => NODES[id]?.label || id).join(' ↔ ')
+    : NODES[key]?.label || key;
+  const exits = Object.entries(flow.exits).sort((a, b) => b[1].clearance - a[1].clearance);
+  const queues = flow.queues.filter(q => q.drainTime >= 60).slice(0, 4);
+  const trappedPeople = flow.trapped.reduce((n, t) => n + t.occupants, 0);
+  const vsTimer = getFlowVsTimer();
+
+  return `<div class="alt-routes">
+    <div class="alt-title">Evacuation Flow · ${flow.evacuated}/${flow.totalPeople} people</div>
+    <div class="flow-clearance">Clearance <strong>~${formatDuration(flow.clearanceTime)}</strong>
+      <span id="flow-vs-timer" class="${vsTimer.level}">${vsTimer.text}</span></div>
+    ${exits.map(([id, e]) => `
+      <div class="flow-row"><span class="flow-exit">🚪 ${NODES[id]?.label || id}</span>
+        <span class="flow-count">${e.people} ppl · ${formatDuration(e.clearance)}</span></div>
+      <div class="flow-rooms">${e.rooms.map(r => NODES[r]?.label || r).join(', ')}</div>`).join('')}
+    ${queues.length ? `<div class="flow-subtitle">Queues</div>${queues.map(q => `
+      <div class="flow-row"><span class="flow-queue">⏳ ${labelOf(q.key)}</span>
+        <span class="flow-count">${q.load} ppl @ ${q.capacity}/min · ${formatDuration(q.drainTime)}</span></div>`).join('')}` : ''}
+    ${trappedPeople ? `<div class="flow-trapped">☠ ${trappedPeople} people trapped — ${flow.trapped.map(t => NODES[t.room]?.label || t.room).join(', ')}</div>` : ''}
+  </div>`;
+}
+
+function getFlowVsTimer() {
+  const flow = state.flowPlan;
+  if (!flow || !flow.evacuated) return { text: '', level: '' };
+  const left = flow.clearanceTime - state.timerSeconds;
+  return left >= 0
+    ? { text: `· ${formatDuration(left)} left on timer`, level: 'flow-on-time' }
+    : { text: `· OVERDUE by ${formatDuration(-left)}`, level: 'flow-overdue' };
+}
+
+// All-rooms summary: trapped rooms first, then the slowest evacuations
+function renderAllRoomsSummary() {
+  if (!state.roomPlans) return '';
+  const rows = Object.entries(state.roomPlans).filter(([id]) => !EXITS.has(id));
+  const trapped = rows.filter(([, r]) => !r);
+  const reachable = rows.filter(([, r]) => r).sort((a, b) => b[1].time - a[1].time);
+
+  return `<div class="alt-routes">
+    <div class="alt-title">All Rooms · ${rows.length} rooms · ${trapped.length} trapped</div>
+    ${trapped.map(([id]) => `<div class="room-row room-trapped" onclick="setStartNode('${id}')">
+        <span class="room-name">☠ ${NODES[id].label}</span><span class="room-exit">TRAPPED</span>
+      </div>`).join('')}
+    ${reachable.map(([id, r]) => `<div class="room-row ${r.degraded ? 'room-degraded' : ''}" onclick="setStartNode('${id}')">
+        <span class="room-name">${NODES[id].label}</span>
+        <span class="room-exit">${NODES[r.path[r.path.length - 1]]?.label} · ${formatDuration(r.time)}</span>
+      </div>`).join('')}
+  </div>`;
+}
+
+function updateStatusBar(message, level) {
+  const bar = document.getElementById('status-text');
+  if (!bar) return;
+  bar.textContent = message;
+  bar.className = `status-text status-${level}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+// AUDIT LOG
+// ─────────────────────────────────────────────────────────────
+// The panel keeps the latest 50 lines; state.auditEntries keeps the whole session for CSV export
+const AUDIT_HISTORY_LIMIT = 10000;
+
+function logAudit(message, type = 'info') {
+  const now = new Date();
+  const entry = document.createElement('div');
+  entry.className = `audit-entry audit-${type}`;
+  entry.innerHTML = `<span class="audit-time">${now.toLocaleTimeString()}</span><span class="audit-msg">${message}</span>`;
+  state.auditEntries.push({ at: now.toISOString(), t: state.timerSeconds, level: type, message: entry.lastChild.textContent });
+  if (state.auditEntries.length > AUDIT_HISTORY_LIMIT) state.auditEntries.shift();
+
+  const log = document.getElementById('audit-log');
+  if (!log) return;
+  log.prepend(entry);
+  // Cap at 50 entries
+  while (log.children.length > 50) log.removeChild(log.lastChild);
+}
+
+function exportAuditCsv() {
+  downloadFile(`audit-${fileSlug(state.building.name)}.csv`, auditToCsv(state.auditEntries), 'text/csv');
+  showToast(`Audit log exported — ${state.auditEntries.length} line${state.auditEntries.length !== 1 ? 's' : ''}`, 'ok');
+}
+
+// ─────────────────────────────────────────────────────────────
+// TOAST NOTIFICATIONS
+// ─────────────────────────────────────────────────────────────
+function showToast(message, type = 'info') {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = message;
+  container.appendChild(toast);
+  setTimeout(() => toast.classList.add('toast-show'), 10);
+  setTimeout(() => {
+    toast.classList.remove('toast-show');
+    setTimeout(() => toast.remove(), 300);
+  }, 3000);
+}
+
+// ─────────────────────────────────────────────────────────────
+// NODE LIST (SIDEBAR)
+// ─────────────────────────────────────────────────────────────
+function renderNodeList() {
+  const list = document.getElementById('node-list');
+  if (!list) return;
+
+  const floorOrder = state.building.floorOrder;
+  let html = '';
+
+  // Blocked connections first — click to clear
+  if (state.hazardEdges.size) {
+    html += `<div class="sidebar-floor-group">
+      <div class="sidebar-floor-title">Blocked Connections</div>`;
+    for (const key of state.hazardEdges) {
+      const [a, b] = key.split('::');
+      html += `<div class="node-list-item item-hazard" onclick="removeEdgeHazard('${a}', '${b}')" title="Click to clear">
+        <span class="item-icon">${getHazardIcon('blocked_path')}</span>
+        <span class="item-name">${edgeLabel(key)}</span>
+        <span class="item-hazard-badge">✕</span>
+      </div>`;
+    }
+    html += `</div>`;
+  }
+
+  for (const floor of floorOrder) {
+    const floorNodes = Object.entries(NODES).filter(([, n]) => n.floor === floor);
+    if (!floorNodes.length) continue;
+    html += `<div class="sidebar-floor-group">
+      <div class="sidebar-floor-title">${FLOORS[floor].label}</div>`;
+    for (const [id, node] of floorNodes) {
+      const hasHazard = state.hazardNodes.has(id);
+      const isExit = EXITS.has(id);
+      const isStart = id === state.startNode;
+      html += `<div class="node-list-item ${hasHazard ? 'item-hazard' : ''} ${isExit ? 'item-exit' : ''} ${isStart ? 'item-start' : ''}"
+        onclick="handleNodeClick('${id}')">
+        <span class="item-icon">${isStart ? '🎯' : isExit ? '🚪' : NODE_ICONS[node.type] || (node.type === 'corridor' ? '🛤' : '🏢')}</span>
+        <span class="item-name">${node.label}</span>
+        ${hasHazard ? `<span class="item-hazard-badge">${getHazardIcon(state.hazardTypes[id])}</span>` : ''}
+      </div>`;
+    }
+    html += `</div>`;
+  }
+  list.innerHTML = html;
+}
+
+// ─────────────────────────────────────────────────────────────
+// BUILDING FILE IMPORT / EXPORT (see buildingFormat.js)
+// ─────────────────────────────────────────────────────────────
+// The buildingGraph.js tables are consts shared with every other script,
+// so an imported building is copied into them in place.
+function replaceContents(target, source) {
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, source);
+}
+
+function currentBuilding() {
+  if (state.campus) {
+    return exportCampus({
+      name: state.building.name,
+      campus: state.campus,
+      floors: FLOORS,
+      floorBoxes: state.building.floorBoxes,
+      nodes: NODES,
+      geometry: state.building.geometry,
+      adjacency: ADJACENCY,
+      lengths: EDGE_LENGTHS,
+      capacity: EDGE_CAPACITY,
+      startNode: state.startNode,
+      presets: allPresets(),
+      sensors: SENSORS,
+    });
+  }
+  return exportBuilding({
+    name: state.building.name,
+    floors: FLOORS,
+    floorOrder: state.building.floorOrder,
+    floorBoxes: state.building.floorBoxes,
+    map: state.building.map,
+    nodes: NODES,
+    geometry: state.building.geometry,
+    adjacency: ADJACENCY,
+    lengths: EDGE_LENGTHS,
+    capacity: EDGE_CAPACITY,
+    exits: EXITS,
+    startNode: state.startNode,
+    presets: allPresets(),
+    sensors: SENSORS,
+  });
+}
+
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'building';
+}
+
+function downloadFile(fileName, text, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function exportBuildingFile() {
+  downloadFile(`${fileSlug(state.building.name)}.json`, JSON.stringify(currentBuilding(), null, 2), 'application/json');
+  const what = state.campus ? 'Campus' : 'Building';
+  logAudit(`⬇ ${what} exported: ${escapeHtml(state.building.name)}`, 'info');
+  showToast(`${what} exported`, 'ok');
+}
+
+function importBuildingFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let data;
+    try {
+      data = JSON.parse(reader.result);
+    } catch (err) {
+      reportImportErrors(file.name, [`Not valid JSON — ${err.message}`]);
+      return;
+    }
+    // A campus file holds several buildings and the outdoor paths between them
+    const isCampus = data?.format === CAMPUS_FORMAT;
+    const errors = isCampus ? validateCampus(data) : validateBuilding(data);
+    if (errors.length) {
+      reportImportErrors(file.name, errors);
+      return;
+    }
+    loadBuilding(isCampus ? readCampus(data) : readBuilding(data));
+  };
+  reader.readAsText(file);
+}
+
+function reportImportErrors(fileName, errors) {
+  // Audit log shows newest first, so log the problems before the headline
+  errors.slice(0, 20).reverse().forEach(msg => logAudit(`&nbsp;&nbsp;· ${escapeHtml(msg)}`, 'danger'));
+  logAudit(`✗ Import failed: ${escapeHtml(fileName)} — ${errors.length} problem${errors.length !== 1 ? 's' : ''}${errors.length > 20 ? ' (first 20 shown)' : ''}`, 'danger');
+  showToast(`Import failed — ${errors.length} problem${errors.length !== 1 ? 's' : ''}, see the audit log`, 'error');
+}
+
+function loadBuilding(building) {
+  // Put the live scenario back before the building it belongs to goes away
+  if (state.replay.active) stopReplay();
+  if (state.drill.active) endDrill();
+  replaceContents(FLOORS, building.floors);
+  replaceContents(NODES, building.nodes);
+  replaceContents(ADJACENCY, building.adjacency);
+  replaceContents(EDGE_LENGTHS, building.lengths);
+  replaceContents(EDGE_CAPACITY, building.capacity);
+  replaceContents(HAZARD_PRESETS, building.presets);
+  replaceContents(SENSORS, building.sensors);
+  EXITS.clear();
+  building.exits.forEach(id => EXITS.add(id));
+
+  ROUTE_GRAPH = buildRoutingGraph({
+    nodes: NODES, floors: FLOORS, adjacency: ADJACENCY, exits: EXITS, lengths: EDGE_LENGTHS, edges: building.edges,
+    geometry: building.geometry,
+  });
+  state.building = {
+    name: building.name,
+    floorOrder: building.floorOrder,
+    floorBoxes: building.floorBoxes,
+    geometry: building.geometry,
+    map: building.map,
+  };
+  state.campus = building.campus ? { ...building.campus, view: null } : null;
+
+  // Start a fresh scenario on the new site
+  clearHazards(state);
+  stopTimer();
+  state.timerSeconds = 0;
+  state.spread.sim = null;
+  updateTimerDisplay();
+  state.startNode = building.startNode;
+  state.activeFloor = 'ALL';
+
+  // A risk or what-if report or a recorded drill only makes sense on the building it came from
+  state.timeline = createTimeline(building.name, building.startNode, state.profile);
+  state.currentPath = null;
+  cancelRiskAnalysis();
+  state.risk.report = null;
+  state.resilience.report = null;
+  renderRiskReport();
+
+  populateStartSelect();
+  populateResponderOrigins();
+  loadUserPresets();
+  closePresetForm();
+  renderPresetButtons();
+  _recalculate();
+  renderMap();
+  renderNodeList();
+  const counts = `${Object.keys(NODES).length} nodes, ${building.edges.length} connections, ${EXITS.size} ${state.campus ? 'assembly points' : 'exits'}`;
+  if (state.campus) logAudit(`⬆ Campus imported: ${escapeHtml(building.name)} — ${state.campus.buildings.length} buildings, ${counts}`, 'ok');
+  else logAudit(`⬆ Building imported: ${escapeHtml(building.name)} — ${counts}`, 'ok');
+  const hasMap = Object.keys(building.geometry).length > 0;
+  // Outdoor points are placed on the campus site plan rather than a floor
+  const geometry = state.campus ? { ...building.geometry, ...state.campus.outdoor.site } : building.geometry;
+  runDiagnostics(hasMap ? { geometry, edges: building.edges } : {});
+  showToast(`Loaded ${building.name}`, 'ok');
+}
+
+// Preset buttons come from the building file, so rebuild them after an import
+function renderPresetButtons() {
+  renderUserPresets();
+  populateDrillScenarios();
+  const container = document.getElementById('preset-buttons');
+  if (!container) return;
+  container.innerHTML = Object.entries(allPresets())
+    .map(([name, preset]) => {
+      const icon = preset.nodes.length ? getHazardIcon(preset.types?.[preset.nodes[0]] || ENGINE_DEFAULTS.hazardType) : getHazardIcon('blocked_path');
+      const user = name in state.userPresets;
+      return `<button class="btn btn-preset${user ? ' btn-preset-user' : ''}" data-preset="${escapeHtml(name)}" title="${escapeHtml(preset.description || '')}${user ? ' (saved preset)' : ''}">${icon} ${escapeHtml(name)}</button>`;
+    })
+    .join('');
+  container.querySelectorAll('[data-preset]').forEach(btn => {
+    btn.addEventListener('click', () => applyPreset(btn.dataset.preset));
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// USER PRESETS (presetStore.js)
+// ─────────────────────────────────────────────────────────────
+// Saved per building name and written into exported building files
+function loadUserPresets() {
+  state.userPresets = readUserPresets(state.building.name, NODES);
+}
+
+function presetSummary(preset) {
+  const counts = {};
+  preset.nodes.forEach(id => {
+    const type = preset.types?.[id] || ENGINE_DEFAULTS.hazardType;
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  const parts = Object.entries(counts).map(([type, n]) => `${getHazardIcon(type)} ${n}`);
+  if (preset.edges?.length) parts.push(`${getHazardIcon('blocked_path')} ${preset.edges.length}`);
+  return parts.join(' · ') || 'no hazards';
+}
+
+// Opens the form for a new preset from the current scenario, or to edit a saved one
+function openPresetForm(editing = null) {
+  const form = document.getElementById('preset-form');
+  if (!form) return;
+  if (!editing && !state.hazardNodes.size && !state.hazardEdges.size) {
+    showToast('Nothing to save — add hazards first', 'info');
+    return;
+  }
+  state.presetForm = { editing };
+  document.getElementById('preset-name').value = editing || '';
+  document.getElementById('preset-description').value = editing ? state.userPresets[editing].description : '';
+  const update = document.getElementById('preset-update');
+  if (update) update.checked = false;
+  const updateRow = document.getElementById('preset-update-row');
+  if (updateRow) updateRow.hidden = !editing;
+  form.hidden = false;
+  document.getElementById('preset-name').focus();
+}
+
+function closePresetForm() {
+  state.presetForm = null;
+  const form = document.getElementById('preset-form');
+  if (form) form.hidden = true;
+}
+
+function savePresetForm() {
+  if (!state.presetForm) return;
+  const { editing } = state.presetForm;
+  const input = document.getElementById('preset-name');
+  const name = input.value.trim();
+  if (!name) {
+    showToast('Give the preset a name first', 'error');
+    input.focus();
+    return;
+  }
+  if (name !== editing && name in allPresets() && !confirm(`Replace preset "${name}"?`)) return;
+  const description = document.getElementById('preset-description').value.trim();
+  if (/[<>"]/.test(name + description)) {
+    showToast('Preset names and descriptions may not contain <, > or "', 'error');
+    return;
+  }
+  const recapture = !editing || document.getElementById('preset-update')?.checked;
+  const preset = recapture ? presetFromScenario(state, description) : { ...state.userPresets[editing], description };
+  if (!saveUserPreset(state.building.name, name, preset, editing)) {
+    showToast('Could not save — browser storage is unavailable or full', 'error');
+    return;
   }
+  loadUserPresets();
+  closePresetForm();
+  renderPresetButtons();
+  logAudit(`💾 Preset ${editing ? 'updated' : 'saved'}: "${escapeHtml(name)}" — ${presetSummary(preset)}`, 'info');
+  showToast(`Preset saved: ${name}`, 'ok');
+}
 
-  panel.innerHTML = `
-    <div class="route-success">
-      <div class="route-header">
-        <div class="route-status-badge">✓ ROUTE FOUND</div>
-        <div class="route-meta">${hops} step${hops !== 1 ? 's' : ''} → <strong>${exitLabel}</strong></div>
-      </div>
-      <div class="route-steps">${stepsHtml}</div>
-      ${altHtml}
-    </div>`;
-
-  updateStatusBar(`EVACUATE → ${exitLabel}`, 'safe');
+function removeUserPreset(name) {
+  if (!confirm(`Delete preset "${name}"?`)) return;
+  deleteUserPreset(state.building.name, name);
+  if (state.presetForm?.editing === name) closePresetForm();
+  loadUserPresets();
+  renderPresetButtons();
+  logAudit(`🗑 Preset deleted: "${escapeHtml(name)}"`, 'info');
+  showToast(`Preset deleted: ${name}`, 'info');
 }
 
-function updateStatusBar(message, level) {
-  const bar = document.getElementById('status-text');
-  if (!bar) return;
-  bar.textContent = message;
-  bar.className = `status-text status-${level}`;
+function renderUserPresets() {
+  const list = document.getElementById('user-preset-list');
+  if (!list) return;
+  const entries = Object.entries(state.userPresets);
+  list.innerHTML = entries.length
+    ? entries.map(([name, preset]) => `
+      <div class="user-preset" data-name="${escapeHtml(name)}">
+        <div class="user-preset-info">
+          <span class="user-preset-name">${escapeHtml(name)}</span>
+          <span class="user-preset-meta">${presetSummary(preset)}${preset.description ? ` — ${escapeHtml(preset.description)}` : ''}</span>
+        </div>
+        <button class="btn btn-secondary btn-sm" data-action="edit" title="Edit">✎</button>
+        <button class="btn btn-secondary btn-sm" data-action="delete" title="Delete">🗑</button>
+      </div>`).join('')
+    : '<div class="user-preset-empty">Set up hazards on the map, then save them here to reuse in drills.</div>';
 }
 
 // ─────────────────────────────────────────────────────────────
-// AUDIT LOG
+// GRAPH DIAGNOSTICS (graphCheck.js)
 // ─────────────────────────────────────────────────────────────
-function logAudit(message, type = 'info') {
-  const log = document.getElementById('audit-log');
-  if (!log) return;
-  const time = new Date().toLocaleTimeString();
-  const entry = document.createElement('div');
-  entry.className = `audit-entry audit-${type}`;
-  entry.innerHTML = `<span class="audit-time">${time}</span><span class="audit-msg">${message}</span>`;
-  log.prepend(entry);
-  // Cap at 50 entries
-  while (log.children.length > 50) log.removeChild(log.lastChild);
+// Runs on load and after every import. The map checks only apply when the
+// building came with map geometry and a drawn edge list.
+function runDiagnostics(map = {}) {
+  state.diagnostics = checkBuildingGraph({
+    floors: FLOORS, nodes: NODES, adjacency: ADJACENCY, exits: EXITS, geometry: map.geometry, edges: map.edges,
+  });
+  const errors = state.diagnostics.filter(i => i.level === 'error').length;
+  const warnings = state.diagnostics.length - errors;
+  if (state.diagnostics.length) {
+    logAudit(`🩺 Graph check: ${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}`, errors ? 'danger' : 'warn');
+  }
+  renderDiagnostics();
 }
 
-// ─────────────────────────────────────────────────────────────
-// TOAST NOTIFICATIONS
-// ─────────────────────────────────────────────────────────────
-function showToast(message, type = 'info') {
-  const container = document.getElementById('toast-container');
-  if (!container) return;
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.textContent = message;
-  container.appendChild(toast);
-  setTimeout(() => toast.classList.add('toast-show'), 10);
-  setTimeout(() => {
-    toast.classList.remove('toast-show');
-    setTimeout(() => toast.remove(), 300);
-  }, 3000);
+function renderDiagnostics() {
+  const issues = state.diagnostics;
+  const errors = issues.filter(i => i.level === 'error').length;
+  const count = document.getElementById('diagnostics-count');
+  if (count) {
+    count.textContent = issues.length || '';
+    count.className = `diagnostics-count${errors ? ' has-errors' : issues.length ? ' has-warnings' : ''}`;
+  }
+
+  const pane = document.getElementById('diagnostics-pane');
+  if (!pane) return;
+  if (!issues.length) {
+    pane.innerHTML = '<div class="diagnostics-ok">✓ No problems found in the building graph</div>';
+    return;
+  }
+  const kinds = [...new Set(issues.map(i => i.kind))];
+  pane.innerHTML = kinds.map(kind => `
+    <div class="diagnostics-group">${CHECK_KINDS[kind] || kind}</div>
+    ${issues.filter(i => i.kind === kind).map(i => `
+      <div class="diagnostics-row diagnostics-${i.level}">${i.level === 'error' ? '✗' : '⚠'} ${i.message.replace(/</g, '&lt;')}</div>`).join('')}`).join('');
 }
 
 // ─────────────────────────────────────────────────────────────
-// NODE LIST (SIDEBAR)
+// EVACUATION SIGNS
 // ─────────────────────────────────────────────────────────────
-function renderNodeList() {
-  const list = document.getElementById('node-list');
-  if (!list) return;
+// Signs are drawn from map geometry, which this view only has once a building
+// file with a map is imported. Routes are for the current profile with no hazards.
+function getSignBuilding() {
+  return {
+    name: state.building.name, nodes: NODES, floors: FLOORS, floorBoxes: state.building.floorBoxes,
+    geometry: state.building.geometry, edges: edgesFromAdjacency(ADJACENCY), exits: EXITS,
+  };
+}
 
-  const floorOrder = ['GF', 'F1', 'F2', 'F3', 'B1'];
-  let html = '';
+function signsLocked() {
+  if (!state.drill.active || state.drill.result) return false;
+  showToast('Finish the drill first — a sign shows the route', 'info');
+  return true;
+}
 
-  for (const floor of floorOrder) {
-    const floorNodes = Object.entries(NODES).filter(([, n]) => n.floor === floor);
-    if (!floorNodes.length) continue;
-    html += `<div class="sidebar-floor-group">
-      <div class="sidebar-floor-title">${FLOORS[floor].label}</div>`;
-    for (const [id, node] of floorNodes) {
-      const hasHazard = state.hazardNodes.has(id);
-      const isExit = EXITS.has(id);
-      const isStart = id === START_NODE;
-      html += `<div class="node-list-item ${hasHazard ? 'item-hazard' : ''} ${isExit ? 'item-exit' : ''} ${isStart ? 'item-start' : ''}"
-        onclick="handleNodeClick('${id}')">
-        <span class="item-icon">${isStart ? '🎯' : isExit ? '🚪' : node.type === 'stair' ? '🪜' : node.type === 'corridor' ? '🛤' : '🏢'}</span>
-        <span class="item-name">${node.label}</span>
-        ${hasHazard ? `<span class="item-hazard-badge">${getHazardIcon(state.hazardTypes[id])}</span>` : ''}
-      </div>`;
-    }
-    html += `</div>`;
+function buildSignSvg(building, nodeId) {
+  return renderSignSvg(building, nodeId, signRoutes(ROUTE_GRAPH, nodeId, state.profile), state.profile);
+}
+
+function signFileName(nodeId) {
+  return `${fileSlug(state.building.name)}-sign-${fileSlug(nodeId)}.svg`;
+}
+
+function exportSign() {
+  if (signsLocked()) return;
+  const building = getSignBuilding();
+  const nodeId = state.startNode;
+  if (!signRooms(building).includes(nodeId)) {
+    showToast(`No sign for ${NODES[nodeId]?.label || nodeId} — signs need a room with map geometry (import a building file with a map)`, 'error');
+    return;
   }
-  list.innerHTML = html;
+  downloadFile(signFileName(nodeId), buildSignSvg(building, nodeId), 'image/svg+xml');
+  logAudit(`🪧 Sign exported: ${NODES[nodeId].label}`, 'info');
+}
+
+// One SVG per room plus the print sheet. Browsers drop downloads started in
+// the same tick, so the SVGs follow one at a time.
+function exportAllSigns() {
+  if (signsLocked()) return;
+  const building = getSignBuilding();
+  const rooms = signRooms(building);
+  if (!rooms.length) {
+    showToast('No rooms with map geometry — import a building file with a map to make signs', 'error');
+    return;
+  }
+  const signs = rooms.map(room => ({ room, svg: buildSignSvg(building, room) }));
+  downloadFile(`${fileSlug(state.building.name)}-signs.html`, signSheetHtml(state.building.name, signs), 'text/html');
+  signs.forEach((sign, i) => setTimeout(() => downloadFile(signFileName(sign.room), sign.svg, 'image/svg+xml'), 200 * (i + 1)));
+  logAudit(`🪧 ${rooms.length} signs exported with a print sheet`, 'info');
+  showToast(`${rooms.length} signs + print sheet`, 'ok');
 }
 
 // ─────────────────────────────────────────────────────────────
 // DYNAMIC BUILDING CREATOR
 // ─────────────────────────────────────────────────────────────
+const BUILDER_TYPE_LABELS = {
+  room: 'Room', corridor: 'Corridor', stair: 'Stairwell', elevator: 'Lift', refuge: 'Refuge', exit: 'Exit', control: 'Start / Control',
+};
+
+// Node being dragged in select mode
+const builderDrag = { id: null, before: null, moved: false, offsetX: 0, offsetY: 0, swallowClick: false };
+
+// Every sketch change goes through here so it can be undone
+function builderEdit(label, change) {
+  recordEdit(state.builderHistory, state.builder, label);
+  change();
+  renderBuilderCanvas();
+  runBuilderBFS();
+}
+
 function initBuilder() {
   state.builderMode = true;
-  const canvas = document.getElementById('builder-canvas');
-  canvas.innerHTML = '';
-  state.builder = { nodes: {}, edges: [], selectedNode: null, linkSource: null };
+  if (Object.keys(state.builder.nodes).length) {
+    recordEdit(state.builderHistory, state.builder, 'Clear canvas');
+  }
+  state.builder = {
+    floors: [{ ...BUILDER_GROUND_FLOOR }],
+    activeFloor: BUILDER_GROUND_FLOOR.id,
+    nodes: {}, edges: [], selectedNode: null, selectedEdge: null, linkSource: null,
+  };
+  closeBuilderNodeEditor();
   renderBuilderCanvas();
+  runBuilderBFS();
   logAudit('🏗 Dynamic Builder activated', 'info');
 }
 
 function renderBuilderCanvas() {
   const canvas = document.getElementById('builder-canvas');
   if (!canvas) return;
+  const mode = document.getElementById('builder-mode-select')?.value;
+  const selectedEdge = state.builder.selectedEdge;
+  const floor = state.builder.activeFloor;
+  const onFloor = id => state.builder.nodes[id]?.floor === floor;
+  const stairLinks = {};   // stair on this floor → links to stairs on other floors
 
   let svg = `<svg id="builder-svg" width="100%" height="100%" viewBox="0 0 800 500">
     <defs>
@@ -462,63 +2223,185 @@ function renderBuilderCanvas() {
     </defs>
     <rect width="800" height="500" fill="url(#grid)"/>`;
 
-  // Edges
+  // Edges — a wide transparent line on top makes each one clickable
   for (const [a, b] of state.builder.edges) {
     const na = state.builder.nodes[a];
     const nb = state.builder.nodes[b];
     if (!na || !nb) continue;
-    svg += `<line x1="${na.x}" y1="${na.y}" x2="${nb.x}" y2="${nb.y}" stroke="rgba(0,255,136,0.5)" stroke-width="2" stroke-dasharray="6,3"/>`;
+    const isSelected = selectedEdge && edgeKey(a, b) === edgeKey(...selectedEdge);
+    if (na.floor !== nb.floor) {
+      if (onFloor(a)) (stairLinks[a] = stairLinks[a] || []).push({ a, b, other: b, isSelected });
+      if (onFloor(b)) (stairLinks[b] = stairLinks[b] || []).push({ a, b, other: a, isSelected });
+      continue;
+    }
+    if (!onFloor(a)) continue;
+    svg += `<g class="builder-edge" data-a="${a}" data-b="${b}">
+        <line x1="${na.x}" y1="${na.y}" x2="${nb.x}" y2="${nb.y}" stroke="${isSelected ? '#ffb800' : 'rgba(0,255,136,0.5)'}" stroke-width="${isSelected ? 3 : 2}" stroke-dasharray="6,3"/>
+        <line class="builder-edge-hit" x1="${na.x}" y1="${na.y}" x2="${nb.x}" y2="${nb.y}"/>
+      </g>`;
   }
 
   // Nodes
   for (const [id, node] of Object.entries(state.builder.nodes)) {
+    if (node.floor !== floor) continue;
     const isSelected = state.builder.selectedNode === id;
     const isLinkSrc = state.builder.linkSource === id;
     svg += `
-      <g class="builder-node" data-id="${id}" style="cursor:pointer">
+      <g class="builder-node" data-id="${id}" style="cursor:${mode === 'select' ? 'move' : 'pointer'}">
         <circle cx="${node.x}" cy="${node.y}" r="28" 
           fill="${isLinkSrc ? 'rgba(255,200,0,0.3)' : isSelected ? 'rgba(0,255,136,0.3)' : 'rgba(15,52,96,0.9)'}" 
           stroke="${isLinkSrc ? '#ffc800' : isSelected ? '#00ff88' : '#1e4d8c'}" stroke-width="${isSelected || isLinkSrc ? 3 : 1.5}"/>
-        <text x="${node.x}" y="${node.y - 4}" text-anchor="middle" fill="#e0f0ff" font-size="9" font-family="'Courier New'">${node.label}</text>
+        <text x="${node.x}" y="${node.y - 4}" text-anchor="middle" fill="#e0f0ff" font-size="9" font-family="'Courier New'">${escapeHtml(node.label)}</text>
         <text x="${node.x}" y="${node.y + 10}" text-anchor="middle" fill="rgba(0,255,136,0.6)" font-size="8">${node.type || 'room'}</text>
       </g>`;
+    // Stair links to other floors are badges under the stairwell; click one to select or delete it
+    (stairLinks[id] || []).forEach((link, i) => {
+      const other = state.builder.nodes[link.other];
+      svg += `<g class="builder-edge builder-stair-link" data-a="${link.a}" data-b="${link.b}">
+          <text x="${node.x}" y="${node.y + 42 + i * 12}" text-anchor="middle" fill="${link.isSelected ? '#ffb800' : '#ffc800'}" font-size="9">↕ ${escapeHtml(other.label)} · ${escapeHtml(builderFloorLabel(other.floor))}</text>
+        </g>`;
+    });
   }
 
   svg += `</svg>`;
+  const editor = document.getElementById('builder-node-editor');
   canvas.innerHTML = svg;
+  if (editor) canvas.appendChild(editor);   // keep the in-place editor across redraws
 
-  // Attach SVG click for adding nodes
+  // The svg is new on every render, so its listeners are too
   const svgEl = document.getElementById('builder-svg');
   svgEl.addEventListener('click', onBuilderCanvasClick);
+  svgEl.addEventListener('mousedown', onBuilderMouseDown);
+  svgEl.addEventListener('dblclick', (e) => {
+    const nodeEl = e.target.closest('.builder-node');
+    if (nodeEl) openBuilderNodeEditor(nodeEl.dataset.id);
+  });
+
+  renderBuilderFloorTabs();
+  updateBuilderToolbar();
+}
+
+function builderFloorLabel(id) {
+  return state.builder.floors.find(f => f.id === id)?.label || id;
+}
 
-  // Attach node clicks
-  canvas.querySelectorAll('.builder-node').forEach(el => {
-    el.addEventListener('click', (e) => {
-      e.stopPropagation();
-      onBuilderNodeClick(el.dataset.id);
+// Floor tabs above the canvas, top floor first. Double-click a tab to rename it.
+function renderBuilderFloorTabs() {
+  const canvas = document.getElementById('builder-canvas');
+  let tabs = document.getElementById('builder-floor-tabs');
+  if (!tabs && canvas) {
+    tabs = document.createElement('div');
+    tabs.id = 'builder-floor-tabs';
+    tabs.className = 'builder-floor-tabs';
+    canvas.parentNode.insertBefore(tabs, canvas);
+    tabs.addEventListener('click', (e) => {
+      const tab = e.target.closest('button');
+      if (!tab) return;
+      if (tab.dataset.add) addBuilderFloor(tab.dataset.add === 'below');
+      else setBuilderFloor(tab.dataset.floor);
     });
+    tabs.addEventListener('dblclick', (e) => {
+      const tab = e.target.closest('[data-floor]');
+      if (tab) renameBuilderFloor(tab.dataset.floor);
+    });
+  }
+  if (!tabs) return;
+
+  const counts = {};
+  Object.values(state.builder.nodes).forEach(n => { counts[n.floor] = (counts[n.floor] || 0) + 1; });
+  tabs.innerHTML = [...state.builder.floors].reverse().map(f => `
+      <button class="builder-floor-tab${f.id === state.builder.activeFloor ? ' active' : ''}" data-floor="${f.id}" title="Double-click to rename">
+        ${escapeHtml(f.label)} <span class="builder-floor-count">${counts[f.id] || 0}</span>
+      </button>`).join('') + `
+      <button class="builder-floor-tab builder-floor-add" data-add="above" title="Add a floor on top">＋ Floor</button>
+      <button class="builder-floor-tab builder-floor-add" data-add="below" title="Add a basement level">＋ Basement</button>`;
+}
+
+// The link source is kept so a stairwell or lift can be linked to one on another floor
+function setBuilderFloor(id) {
+  if (!state.builder.floors.some(f => f.id === id)) return;
+  state.builder.activeFloor = id;
+  state.builder.selectedNode = null;
+  state.builder.selectedEdge = null;
+  closeBuilderNodeEditor();
+  renderBuilderCanvas();
+}
+
+function addBuilderFloor(below) {
+  const id = nextFloorId(state.builder.floors, below);
+  const floor = { id, label: `${below ? 'Basement' : 'Floor'} ${id.slice(1)}` };
+  builderEdit(`Add ${floor.label}`, () => {
+    if (below) state.builder.floors.unshift(floor);
+    else state.builder.floors.push(floor);
   });
+  setBuilderFloor(id);
 }
 
-function onBuilderCanvasClick(e) {
-  if (e.target.closest('.builder-node')) return;
-  const rect = e.currentTarget.getBoundingClientRect();
+function renameBuilderFloor(id) {
+  const floor = state.builder.floors.find(f => f.id === id);
+  if (!floor) return;
+  const label = (prompt('Floor name', floor.label) || '').trim();
+  if (!label || label === floor.label) return;
+  if (/[<>"]/.test(label)) {
+    showToast('Floor names may not contain <, > or "', 'error');
+    return;
+  }
+  builderEdit(`Rename ${floor.label}`, () => {
+    floor.label = label;
+  });
+}
+
+// After undo or opening a draft the active floor may no longer exist
+function keepBuilderFloor() {
+  if (!state.builder.floors.some(f => f.id === state.builder.activeFloor)) {
+    state.builder.activeFloor = state.builder.floors[0].id;
+  }
+}
+
+// Canvas coordinates (viewBox units) of a mouse event
+function builderPoint(e) {
   const svgEl = document.getElementById('builder-svg');
+  const rect = svgEl.getBoundingClientRect();
   const vb = svgEl.viewBox.baseVal;
-  const scaleX = vb.width / rect.width;
-  const scaleY = vb.height / rect.height;
-  const x = (e.clientX - rect.left) * scaleX;
-  const y = (e.clientY - rect.top) * scaleY;
+  return {
+    x: (e.clientX - rect.left) * (vb.width / (rect.width || vb.width)),
+    y: (e.clientY - rect.top) * (vb.height / (rect.height || vb.height)),
+  };
+}
+
+function onBuilderCanvasClick(e) {
+  if (builderDrag.swallowClick) return;   // end of a drag, not a click
+
+  const nodeEl = e.target.closest('.builder-node');
+  if (nodeEl) {
+    onBuilderNodeClick(nodeEl.dataset.id);
+    return;
+  }
+  const edgeEl = e.target.closest('.builder-edge');
+  if (edgeEl) {
+    onBuilderEdgeClick(edgeEl.dataset.a, edgeEl.dataset.b);
+    return;
+  }
 
   const mode = document.getElementById('builder-mode-select').value;
   if (mode === 'add-node') {
+    const { x, y } = builderPoint(e);
     const label = document.getElementById('builder-node-label').value.trim() || `Node${Object.keys(state.builder.nodes).length + 1}`;
+    if (/[<>"]/.test(label)) {
+      showToast('Node labels may not contain <, > or "', 'error');
+      return;
+    }
     const type = document.getElementById('builder-node-type').value;
     const id = 'B_' + label.replace(/\s+/g, '_') + '_' + Date.now();
-    state.builder.nodes[id] = { label, type, x, y };
+    builderEdit(`Add ${label}`, () => {
+      state.builder.nodes[id] = { label, type, floor: state.builder.activeFloor, x, y };
+    });
     document.getElementById('builder-node-label').value = '';
+  } else {
+    state.builder.selectedNode = null;
+    state.builder.selectedEdge = null;
+    state.builder.linkSource = null;
     renderBuilderCanvas();
-    runBuilderBFS();
   }
 }
 
@@ -528,28 +2411,281 @@ function onBuilderNodeClick(id) {
     if (!state.builder.linkSource) {
       state.builder.linkSource = id;
       showToast(`Now click another node to link to "${state.builder.nodes[id].label}"`, 'info');
+      renderBuilderCanvas();
     } else if (state.builder.linkSource !== id) {
       const a = state.builder.linkSource;
+      state.builder.linkSource = null;
+      const from = state.builder.nodes[a];
+      const to = state.builder.nodes[id];
+      if (from.floor !== to.floor && (from.type !== to.type || !['stair', 'elevator'].includes(from.type))) {
+        showToast('Only two stairwells or two lifts can be linked across floors', 'error');
+        renderBuilderCanvas();
+        return;
+      }
       // Check if edge already exists
-      const exists = state.builder.edges.some(([x, y]) => (x === a && y === id) || (x === id && y === a));
+      const exists = state.builder.edges.some(([x, y]) => edgeKey(x, y) === edgeKey(a, id));
       if (!exists) {
-        state.builder.edges.push([a, id]);
+        builderEdit(`Link ${state.builder.nodes[a].label} ↔ ${state.builder.nodes[id].label}`, () => {
+          state.builder.edges.push([a, id]);
+        });
         showToast(`Linked: ${state.builder.nodes[a].label} ↔ ${state.builder.nodes[id].label}`, 'ok');
+      } else {
+        renderBuilderCanvas();
       }
-      state.builder.linkSource = null;
-      renderBuilderCanvas();
-      runBuilderBFS();
     }
   } else if (mode === 'delete') {
+    deleteBuilderNode(id);
+  } else {
+    state.builder.selectedNode = state.builder.selectedNode === id ? null : id;
+    state.builder.selectedEdge = null;
+    renderBuilderCanvas();
+  }
+}
+
+function onBuilderEdgeClick(a, b) {
+  const mode = document.getElementById('builder-mode-select').value;
+  if (mode === 'delete') {
+    deleteBuilderEdge(a, b);
+    return;
+  }
+  const current = state.builder.selectedEdge;
+  state.builder.selectedEdge = current && edgeKey(...current) === edgeKey(a, b) ? null : [a, b];
+  state.builder.selectedNode = null;
+  renderBuilderCanvas();
+}
+
+function deleteBuilderNode(id) {
+  const node = state.builder.nodes[id];
+  if (!node) return;
+  builderEdit(`Delete ${node.label}`, () => {
     delete state.builder.nodes[id];
     state.builder.edges = state.builder.edges.filter(([a, b]) => a !== id && b !== id);
     state.builder.linkSource = null;
-    renderBuilderCanvas();
+    state.builder.selectedNode = null;
+  });
+}
+
+function deleteBuilderEdge(a, b) {
+  const key = edgeKey(a, b);
+  const nodes = state.builder.nodes;
+  builderEdit(`Delete link ${nodes[a]?.label || a} ↔ ${nodes[b]?.label || b}`, () => {
+    state.builder.edges = state.builder.edges.filter(([x, y]) => edgeKey(x, y) !== key);
+    state.builder.selectedEdge = null;
+  });
+}
+
+function deleteBuilderSelection() {
+  if (state.builder.selectedNode) deleteBuilderNode(state.builder.selectedNode);
+  else if (state.builder.selectedEdge) deleteBuilderEdge(...state.builder.selectedEdge);
+}
+
+// ── Drag to move (select mode) ──
+function onBuilderMouseDown(e) {
+  const nodeEl = e.target.closest('.builder-node');
+  if (!nodeEl || document.getElementById('builder-mode-select').value !== 'select') return;
+  const node = state.builder.nodes[nodeEl.dataset.id];
+  const point = builderPoint(e);
+  Object.assign(builderDrag, {
+    id: nodeEl.dataset.id,
+    before: snapshotSketch(state.builder),
+    moved: false,
+    offsetX: node.x - point.x,
+    offsetY: node.y - point.y,
+  });
+  e.preventDefault();
+}
+
+function onBuilderMouseMove(e) {
+  if (!builderDrag.id) return;
+  const node = state.builder.nodes[builderDrag.id];
+  if (!node) {
+    builderDrag.id = null;
+    return;
+  }
+  const point = builderPoint(e);
+  node.x = Math.max(28, Math.min(772, point.x + builderDrag.offsetX));
+  node.y = Math.max(28, Math.min(472, point.y + builderDrag.offsetY));
+  builderDrag.moved = true;
+  renderBuilderCanvas();
+}
+
+function onBuilderMouseUp() {
+  if (!builderDrag.id) return;
+  if (builderDrag.moved) {
+    recordEdit(state.builderHistory, builderDrag.before, `Move ${state.builder.nodes[builderDrag.id]?.label || 'node'}`);
+    builderDrag.swallowClick = true;
+    setTimeout(() => { builderDrag.swallowClick = false; }, 0);
     runBuilderBFS();
-  } else {
-    state.builder.selectedNode = state.builder.selectedNode === id ? null : id;
-    renderBuilderCanvas();
   }
+  builderDrag.id = null;
+  builderDrag.before = null;
+  builderDrag.moved = false;
+  updateBuilderToolbar();
+}
+
+// ── In-place label / type editor (double-click a node) ──
+function openBuilderNodeEditor(id) {
+  const node = state.builder.nodes[id];
+  const canvas = document.getElementById('builder-canvas');
+  if (!node || !canvas) return;
+
+  let editor = document.getElementById('builder-node-editor');
+  if (!editor) {
+    editor = document.createElement('div');
+    editor.id = 'builder-node-editor';
+    editor.className = 'builder-node-editor';
+    editor.innerHTML = `<input type="text" class="builder-edit-label"/>
+      <select class="builder-edit-type">${Object.entries(BUILDER_TYPE_LABELS).map(([t, l]) => `<option value="${t}">${l}</option>`).join('')}</select>
+      <button class="btn btn-sm builder-edit-ok">✓</button>`;
+    editor.querySelector('.builder-edit-ok').addEventListener('click', applyBuilderNodeEditor);
+    editor.querySelector('.builder-edit-label').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') applyBuilderNodeEditor();
+      if (e.key === 'Escape') closeBuilderNodeEditor();
+    });
+    canvas.appendChild(editor);
+  }
+
+  // Position under the node, converting viewBox units to pixels
+  const rect = document.getElementById('builder-svg').getBoundingClientRect();
+  const scale = (rect.width || 800) / 800;
+  editor.dataset.id = id;
+  editor.style.left = `${Math.max(4, (node.x - 80) * scale)}px`;
+  editor.style.top = `${(node.y + 32) * scale}px`;
+  editor.querySelector('.builder-edit-label').value = node.label;
+  editor.querySelector('.builder-edit-type').value = node.type === 'start' ? 'control' : node.type || 'room';
+  editor.classList.add('active');
+  editor.querySelector('.builder-edit-label').focus();
+}
+
+function closeBuilderNodeEditor() {
+  document.getElementById('builder-node-editor')?.classList.remove('active');
+}
+
+function applyBuilderNodeEditor() {
+  const editor = document.getElementById('builder-node-editor');
+  const node = state.builder.nodes[editor.dataset.id];
+  closeBuilderNodeEditor();
+  if (!node) return;
+  const label = editor.querySelector('.builder-edit-label').value.trim() || node.label;
+  const type = editor.querySelector('.builder-edit-type').value;
+  if (label === node.label && type === node.type) return;
+  if (/[<>"]/.test(label)) {
+    showToast('Node labels may not contain <, > or "', 'error');
+    return;
+  }
+  builderEdit(`Edit ${node.label}`, () => {
+    node.label = label;
+    node.type = type;
+  });
+}
+
+// ── Undo / redo ──
+function applyBuilderSketch(entry, verb) {
+  if (!entry) {
+    showToast(`Nothing to ${verb}`, 'info');
+    return;
+  }
+  Object.assign(state.builder, entry.sketch, { linkSource: null, selectedNode: null, selectedEdge: null });
+  keepBuilderFloor();
+  closeBuilderNodeEditor();
+  renderBuilderCanvas();
+  runBuilderBFS();
+  showToast(`${verb === 'undo' ? 'Undone' : 'Redone'}: ${entry.label}`, 'info');
+}
+
+function builderUndo() {
+  applyBuilderSketch(undoEdit(state.builderHistory, state.builder), 'undo');
+}
+
+function builderRedo() {
+  applyBuilderSketch(redoEdit(state.builderHistory, state.builder), 'redo');
+}
+
+function updateBuilderToolbar() {
+  const { undo, redo } = state.builderHistory;
+  const undoBtn = document.getElementById('btn-builder-undo');
+  const redoBtn = document.getElementById('btn-builder-redo');
+  const deleteBtn = document.getElementById('btn-builder-delete-selected');
+  if (undoBtn) {
+    undoBtn.disabled = !undo.length;
+    undoBtn.title = undo.length ? `Undo: ${undo[undo.length - 1].label}` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !redo.length;
+    redoBtn.title = redo.length ? `Redo: ${redo[redo.length - 1].label}` : 'Nothing to redo';
+  }
+  if (deleteBtn) deleteBtn.disabled = !state.builder.selectedNode && !state.builder.selectedEdge;
+}
+
+function onBuilderKeyDown(e) {
+  if (!state.builderMode) return;
+  if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) builderRedo();
+    else builderUndo();
+  } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+    e.preventDefault();
+    builderRedo();
+  } else if ((e.key === 'Delete' || e.key === 'Backspace') && (state.builder.selectedNode || state.builder.selectedEdge)) {
+    e.preventDefault();
+    deleteBuilderSelection();
+  }
+}
+
+// ── Named drafts (localStorage, see builderStore.js) ──
+function renderBuilderDrafts() {
+  const select = document.getElementById('builder-draft-select');
+  if (!select) return;
+  const drafts = listDrafts();
+  select.innerHTML = drafts.length
+    ? drafts.map(d => `<option value="${escapeHtml(d.name)}">${escapeHtml(d.name)} · ${d.nodeCount} node${d.nodeCount !== 1 ? 's' : ''}</option>`).join('')
+    : '<option value="">No saved drafts</option>';
+}
+
+function saveBuilderDraft() {
+  const input = document.getElementById('builder-draft-name');
+  const name = input.value.trim();
+  if (!name) {
+    showToast('Give the draft a name first', 'error');
+    input.focus();
+    return;
+  }
+  if (listDrafts().some(d => d.name === name) && !confirm(`Overwrite draft "${name}"?`)) return;
+  if (!saveDraft(name, state.builder)) {
+    showToast('Could not save — browser storage is unavailable or full', 'error');
+    return;
+  }
+  renderBuilderDrafts();
+  document.getElementById('builder-draft-select').value = name;
+  showToast(`Draft saved: ${name}`, 'ok');
+}
+
+function openBuilderDraft() {
+  const name = document.getElementById('builder-draft-select').value;
+  if (!name) return;
+  const sketch = loadDraft(name);
+  if (!sketch) {
+    showToast(`Draft "${name}" could not be read`, 'error');
+    renderBuilderDrafts();
+    return;
+  }
+  builderEdit(`Open draft ${name}`, () => {
+    Object.assign(state.builder, sketch, { linkSource: null, selectedNode: null, selectedEdge: null });
+    keepBuilderFloor();
+  });
+  const input = document.getElementById('builder-draft-name');
+  if (input) input.value = name;
+  showToast(`Draft opened: ${name}`, 'ok');
+}
+
+function deleteBuilderDraft() {
+  const name = document.getElementById('builder-draft-select').value;
+  if (!name || !confirm(`Delete draft "${name}"?`)) return;
+  deleteDraft(name);
+  renderBuilderDrafts();
+  showToast(`Draft deleted: ${name}`, 'info');
 }
 
 function runBuilderBFS() {
@@ -576,16 +2712,58 @@ function runBuilderBFS() {
     return;
   }
 
-  const start = starts[0];
-  const path = bfsEvacuate(null, adj, exits, start, new Set(), new Set());
+  // Floor order is the sketch order (bottom to top), so stair links cost a flight per floor
+  const floors = {};
+  state.builder.floors.forEach((f, order) => { floors[f.id] = { label: f.label, order }; });
 
-  if (path) {
-    resultEl.innerHTML = `<span class="builder-path-ok">✓ Path: ${path.map(id => nodes[id]?.label || id).join(' → ')}</span>`;
+  const start = starts[0];
+  const graph = buildRoutingGraph({ nodes, floors, adjacency: adj, exits, geometry: nodes });
+  const route = findRoute(graph, start);
+
+  if (route) {
+    // Name the floor wherever the path enters a new one, as the route panel does
+    const steps = route.path.map((id, i) => {
+      const floor = nodes[id].floor;
+      const changed = i === 0 || nodes[route.path[i - 1]].floor !== floor;
+      return `<span class="builder-step">${escapeHtml(nodes[id]?.label || id)}${changed ? `<span class="builder-step-floor">${escapeHtml(builderFloorLabel(floor))}</span>` : ''}</span>`;
+    }).join(' → ');
+    const stairs = route.floors ? ` · ${route.floors} floor${route.floors !== 1 ? 's' : ''} by stairs` : '';
+    resultEl.innerHTML = `<span class="builder-path-ok">✓ ${formatDistance(route.distance)} · ~${formatDuration(route.time)}${stairs}</span> ${steps}`;
   } else {
     resultEl.innerHTML = `<span class="builder-path-fail">✗ No path from Start to any Exit</span>`;
   }
 }
 
+// Replace the live building with the Builder sketch (see builderToBuilding)
+function useBuilderAsBuilding() {
+  const resultEl = document.getElementById('builder-result');
+  const nodes = Object.values(state.builder.nodes);
+  const fail = (message) => {
+    if (resultEl) resultEl.innerHTML = `<span class="builder-path-fail">✗ ${message.replace(/</g, '&lt;')}</span>`;
+    showToast(message, 'error');
+  };
+
+  if (!nodes.some(n => n.type === 'exit')) {
+    fail('Add at least one Exit node before using this layout.');
+    return;
+  }
+  if (!nodes.some(n => n.type !== 'exit')) {
+    fail('Add a Start or Room node to evacuate from.');
+    return;
+  }
+
+  const data = builderToBuilding(state.builder, { name: 'Builder layout' });
+  const errors = validateBuilding(data);
+  if (errors.length) {
+    fail(errors[0] + (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''));
+    return;
+  }
+
+  loadBuilding(readBuilding(data));
+  document.getElementById('builder-modal').classList.remove('active');
+  state.builderMode = false;
+}
+
 // ─────────────────────────────────────────────────────────────
 // SHOW / HIDE LOADING SCREEN
 // ─────────────────────────────────────────────────────────────
@@ -610,22 +2788,177 @@ function init() {
     document.getElementById('floor-filter').addEventListener('change', (e) => {
       state.activeFloor = e.target.value;
       renderMap();
+      syncScenarioUrl();
     });
 
-    // Preset buttons
-    document.querySelectorAll('[data-preset]').forEach(btn => {
-      btn.addEventListener('click', () => applyPreset(btn.dataset.preset));
-    });
+    // Preset buttons — the building's and the team's own
+    loadUserPresets();
+    renderPresetButtons();
+    const presetNew = document.getElementById('btn-preset-new');
+    if (presetNew) presetNew.addEventListener('click', () => openPresetForm());
+    const presetSave = document.getElementById('btn-preset-save');
+    if (presetSave) presetSave.addEventListener('click', savePresetForm);
+    const presetCancel = document.getElementById('btn-preset-cancel');
+    if (presetCancel) presetCancel.addEventListener('click', closePresetForm);
+    const presetName = document.getElementById('preset-name');
+    if (presetName) {
+      presetName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') savePresetForm();
+        else if (e.key === 'Escape') closePresetForm();
+      });
+    }
+    const userPresetList = document.getElementById('user-preset-list');
+    if (userPresetList) {
+      userPresetList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const { name } = button.closest('[data-name]').dataset;
+        if (button.dataset.action === 'edit') openPresetForm(name);
+        else removeUserPreset(name);
+      });
+    }
 
     // Timer buttons
     document.getElementById('btn-timer-start').addEventListener('click', toggleTimer);
     document.getElementById('btn-timer-reset').addEventListener('click', resetTimer);
 
+    // "You are here" selector and all-rooms mode
+    const startSelect = document.getElementById('start-node-select');
+    if (startSelect) {
+      populateStartSelect();
+      startSelect.addEventListener('change', (e) => setStartNode(e.target.value));
+    }
+    const riskRun = document.getElementById('btn-risk-run');
+    if (riskRun) riskRun.addEventListener('click', toggleRiskAnalysis);
+    renderRiskReport();
+
+    const resilienceToggle = document.getElementById('resilience-toggle');
+    if (resilienceToggle) {
+      resilienceToggle.addEventListener('change', (e) => setResilience(e.target.checked));
+    }
+    // Drill mode
+    state.drill.history = readDrillHistory();
+    state.drill.seed = 1 + Math.floor(Math.random() * 9999);
+    const drillSeed = document.getElementById('drill-seed');
+    if (drillSeed) {
+      drillSeed.value = state.drill.seed;
+      drillSeed.addEventListener('change', (e) => { state.drill.seed = parseInt(e.target.value, 10) || 0; });
+    }
+    const drillStart = document.getElementById('btn-drill-start');
+    if (drillStart) drillStart.addEventListener('click', startDrill);
+    const drillCsv = document.getElementById('btn-drill-csv');
+    if (drillCsv) drillCsv.addEventListener('click', exportDrillCsv);
+    renderDrillHistory();
+
+    populateResponderOrigins();
+    const responderToggle = document.getElementById('responder-toggle');
+    if (responderToggle) {
+      responderToggle.addEventListener('change', (e) => setResponderMode(e.target.checked));
+    }
+    const responderOrigin = document.getElementById('responder-origin');
+    if (responderOrigin) {
+      responderOrigin.addEventListener('change', (e) => setResponderOrigin(e.target.value));
+    }
+    const allRoomsToggle = document.getElementById('all-rooms-toggle');
+    if (allRoomsToggle) {
+      allRoomsToggle.addEventListener('change', (e) => setAllRooms(e.target.checked));
+    }
+
+    // Spread simulation controls
+    const spreadToggle = document.getElementById('spread-toggle');
+    if (spreadToggle) {
+      spreadToggle.addEventListener('change', (e) => {
+        state.spread.enabled = e.target.checked;
+        logAudit(`🌡 Spread simulation ${e.target.checked ? `ON (seed ${state.spread.seed})` : 'OFF'}`, 'info');
+      });
+    }
+    const spreadSeed = document.getElementById('spread-seed');
+    if (spreadSeed) {
+      spreadSeed.addEventListener('change', (e) => {
+        state.spread.seed = parseInt(e.target.value, 10) || 0;
+        state.spread.sim = null;
+      });
+    }
+
+    // Timeline replay and exports
+    const replayPlay = document.getElementById('btn-replay-play');
+    if (replayPlay) replayPlay.addEventListener('click', () => (state.replay.playing ? pauseReplay() : playReplay()));
+    const replayStop = document.getElementById('btn-replay-stop');
+    if (replayStop) replayStop.addEventListener('click', stopReplay);
+    const replayScrub = document.getElementById('replay-scrub');
+    if (replayScrub) {
+      replayScrub.addEventListener('input', (e) => {
+        if (!state.replay.active) startReplay();
+        if (!state.replay.active) return;
+        pauseReplay();
+        seekReplay(Number(e.target.value));
+      });
+    }
+    const replaySpeed = document.getElementById('replay-speed');
+    if (replaySpeed) replaySpeed.addEventListener('change', (e) => { state.replay.speed = Number(e.target.value) || 1; });
+    const timelineEvents = document.getElementById('timeline-events');
+    if (timelineEvents) {
+      timelineEvents.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-position]');
+        if (!row) return;
+        if (!state.replay.active) startReplay();
+        if (!state.replay.active) return;
+        pauseReplay();
+        seekReplay(Number(row.dataset.position));
+      });
+    }
+    const timelineFile = document.getElementById('timeline-file-input');
+    const timelineImport = document.getElementById('btn-timeline-import');
+    if (timelineFile && timelineImport) {
+      timelineImport.addEventListener('click', () => timelineFile.click());
+      timelineFile.addEventListener('change', (e) => {
+        importTimelineFile(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+    const timelineExport = document.getElementById('btn-timeline-export');
+    if (timelineExport) timelineExport.addEventListener('click', exportTimelineFile);
+    const auditCsv = document.getElementById('btn-audit-csv');
+    if (auditCsv) auditCsv.addEventListener('click', exportAuditCsv);
+    renderTimelinePanel();
+
+    // Live sensor feed
+    const sensorConnect = document.getElementById('btn-sensor-connect');
+    if (sensorConnect) sensorConnect.addEventListener('click', toggleSensorFeed);
+    const sensorUrl = document.getElementById('sensor-url');
+    if (sensorUrl && !sensorUrl.value) sensorUrl.value = SENSOR_FEED_DEFAULTS.url;
+
+    // Building file import / export
+    const buildingFile = document.getElementById('building-file-input');
+    const importBtn = document.getElementById('btn-import-building');
+    if (buildingFile && importBtn) {
+      importBtn.addEventListener('click', () => buildingFile.click());
+      buildingFile.addEventListener('change', (e) => {
+        importBuildingFile(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+    const exportBtn = document.getElementById('btn-export-building');
+    if (exportBtn) exportBtn.addEventListener('click', exportBuildingFile);
+
+    // Evacuation signs
+    const signBtn = document.getElementById('btn-sign-export');
+    if (signBtn) signBtn.addEventListener('click', exportSign);
+    const signsBtn = document.getElementById('btn-signs-export');
+    if (signsBtn) signsBtn.addEventListener('click', exportAllSigns);
+
     // Builder open/close
     document.getElementById('btn-builder-open').addEventListener('click', () => {
       document.getElementById('builder-modal').classList.add('active');
-      initBuilder();
+      // Keep the sketch between visits; the clear button starts over
+      state.builderMode = true;
+      renderBuilderCanvas();
+      runBuilderBFS();
     });
+    const builderClear = document.getElementById('btn-builder-clear');
+    if (builderClear) builderClear.addEventListener('click', initBuilder);
+    const builderUse = document.getElementById('btn-builder-use');
+    if (builderUse) builderUse.addEventListener('click', useBuilderAsBuilding);
     document.getElementById('btn-builder-close').addEventListener('click', () => {
       document.getElementById('builder-modal').classList.remove('active');
       state.builderMode = false;
@@ -636,18 +2969,49 @@ function init() {
     if (builderMode) {
       builderMode.addEventListener('change', () => {
         state.builder.linkSource = null;
+        state.builder.selectedNode = null;
+        state.builder.selectedEdge = null;
         renderBuilderCanvas();
       });
     }
 
+    // Builder drag, keyboard shortcuts, history and drafts
+    window.addEventListener('mousemove', onBuilderMouseMove);
+    window.addEventListener('mouseup', onBuilderMouseUp);
+    document.addEventListener('keydown', onBuilderKeyDown);
+    const builderButtons = {
+      'btn-builder-undo': builderUndo,
+      'btn-builder-redo': builderRedo,
+      'btn-builder-delete-selected': deleteBuilderSelection,
+      'btn-builder-draft-save': saveBuilderDraft,
+      'btn-builder-draft-open': openBuilderDraft,
+      'btn-builder-draft-delete': deleteBuilderDraft,
+    };
+    for (const [id, handler] of Object.entries(builderButtons)) {
+      const btn = document.getElementById(id);
+      if (btn) btn.addEventListener('click', handler);
+    }
+    renderBuilderDrafts();
+
     // Initial render — call internal BFS directly (not the wrapper)
     _recalculate();
     renderMap();
     renderNodeList();
     updateTimerDisplay();
 
-    logAudit('🟢 System initialized — Control Room is evacuation start point', 'ok');
+    logAudit(`🟢 System initialized — ${NODES[state.startNode].label} is evacuation start point`, 'ok');
     logAudit('ℹ Click any room on the map to simulate a hazard', 'info');
+    runDiagnostics();
+
+    // A shared link replaces the default scenario; from here on the hash follows every change
+    applyScenarioLink(location.hash);
+    state.link.ready = true;
+    writeScenarioHash({ replace: true });
+    window.addEventListener('hashchange', () => {
+      const own = location.hash === state.link.written;
+      state.link.written = null;
+      if (!own) applyScenarioLink(location.hash);
+    });
 
   } catch (err) {
     console.error('EVAC//SYS init error:', err);
@@ -659,10 +3023,31 @@ function init() {
 
 // Internal recalculate (does NOT call renderNodeList to avoid circular override issues)
 function _recalculate() {
-  const path = bfsEvacuate(NODES, ADJACENCY, EXITS, START_NODE, state.hazardNodes, state.hazardEdges);
-  state.currentPath = path;
-  state.evacuationFailed = !path;
+  const { status, route, alternatives } = evaluateScenario(ROUTE_GRAPH, state, state.startNode, state.altOptions, state.profile);
+  if ((route?.path.join('>') ?? null) !== (state.currentPath?.join('>') ?? null)) {
+    recordTimeline('route', route
+      ? { status, path: route.path, distance: Math.round(route.distance * 10) / 10, time: Math.round(route.time * 10) / 10 }
+      : { status, path: null });
+  }
+  state.currentRoute = route;
+  state.currentPath = route ? route.path : null;
+  state.alternatives = alternatives;
+  state.routeStatus = status;
+  state.evacuationFailed = !route;
+  state.roomPlans = state.allRooms
+    ? planAllRooms(profileGraph(ROUTE_GRAPH, state.profile, state.hazardTypes), Object.keys(NODES), state.hazardNodes, state.hazardEdges, state.hazardTypes)
+    : null;
+  state.flowPlan = planEvacuationFlow(ROUTE_GRAPH, NODES, EDGE_CAPACITY, {
+    nodes: state.hazardNodes, edges: state.hazardEdges, types: state.hazardTypes,
+  });
+  refreshResilience();
+  state.responder.plan = state.responder.enabled
+    ? planResponse(ROUTE_GRAPH, state, state.responder.origin, profileGraph(ROUTE_GRAPH, state.profile, state.hazardTypes))
+    : null;
   renderRoutePanel();
+  renderResiliencePanel();
+  renderResponderPanel();
+  syncScenarioUrl();
 }
 
 // Public recalculate — used by hazard toggles etc.
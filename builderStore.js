@@ -0,0 +1,119 @@
+/**
+ * BUILDER HISTORY & DRAFTS
+ * Undo/redo snapshots and named drafts for the Dynamic Builder.
+ * A sketch is { floors: [{ id, label }], nodes: id → { label, type, floor, x, y },
+ * edges: [[a, b]] } with floors listed bottom to top. Every edit records the
+ * sketch as it was before, so undo simply restores it.
+ */
+
+const HISTORY_LIMIT = 100;
+const DRAFTS_KEY = 'evac.builderDrafts';
+const BUILDER_GROUND_FLOOR = { id: 'GF', label: 'Ground Floor' };
+
+function snapshotSketch({ floors, nodes, edges }) {
+  return normalizeSketch(JSON.parse(JSON.stringify({ floors, nodes, edges })));
+}
+
+// Sketches from before floors existed put everything on the ground floor
+function normalizeSketch(sketch) {
+  if (!Array.isArray(sketch.floors) || !sketch.floors.length) sketch.floors = [{ ...BUILDER_GROUND_FLOOR }];
+  const floorIds = new Set(sketch.floors.map(f => f.id));
+  for (const node of Object.values(sketch.nodes)) {
+    if (!floorIds.has(node.floor)) node.floor = sketch.floors[0].id;
+  }
+  return sketch;
+}
+
+// Id for a new floor above (F1, F2, …) or below (B1, B2, …) the existing ones
+function nextFloorId(floors, below = false) {
+  const prefix = below ? 'B' : 'F';
+  let n = 1;
+  while (floors.some(f => f.id === prefix + n)) n++;
+  return prefix + n;
+}
+
+// ─────────────────────────────────────────────────────────────
+// UNDO / REDO
+// ─────────────────────────────────────────────────────────────
+function createHistory(limit = HISTORY_LIMIT) {
+  return { undo: [], redo: [], limit };
+}
+
+// Call before changing the sketch
+function recordEdit(history, sketch, label) {
+  history.undo.push({ label, sketch: snapshotSketch(sketch) });
+  if (history.undo.length > history.limit) history.undo.shift();
+  history.redo = [];
+}
+
+// Both return { label, sketch } to apply, or null when there is nothing to step to
+function undoEdit(history, current) {
+  const entry = history.undo.pop();
+  if (!entry) return null;
+  history.redo.push({ label: entry.label, sketch: snapshotSketch(current) });
+  return entry;
+}
+
+function redoEdit(history, current) {
+  const entry = history.redo.pop();
+  if (!entry) return null;
+  history.undo.push({ label: entry.label, sketch: snapshotSketch(current) });
+  return entry;
+}
+
+// ─────────────────────────────────────────────────────────────
+// DRAFTS (localStorage)
+// ─────────────────────────────────────────────────────────────
+// Storage failures (private mode, quota, corrupt data) never break the Builder:
+// reads fall back to no drafts and writes report false.
+function readDrafts(storage) {
+  try {
+    const drafts = JSON.parse((storage || globalThis.localStorage).getItem(DRAFTS_KEY) || '{}');
+    return drafts && typeof drafts === 'object' && !Array.isArray(drafts) ? drafts : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeDrafts(drafts, storage) {
+  try {
+    (storage || globalThis.localStorage).setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Newest first: [{ name, savedAt, nodeCount }]
+function listDrafts(storage) {
+  return Object.entries(readDrafts(storage))
+    .map(([name, d]) => ({ name, savedAt: d.savedAt, nodeCount: Object.keys(d.nodes || {}).length }))
+    .sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+}
+
+function saveDraft(name, sketch, storage) {
+  const drafts = readDrafts(storage);
+  drafts[name] = { ...snapshotSketch(sketch), savedAt: Date.now() };
+  return writeDrafts(drafts, storage);
+}
+
+function loadDraft(name, storage) {
+  const draft = readDrafts(storage)[name];
+  if (!draft || !draft.nodes || typeof draft.nodes !== 'object' || Array.isArray(draft.nodes) || !Array.isArray(draft.edges)) return null;
+  return snapshotSketch(draft);
+}
+
+function deleteDraft(name, storage) {
+  const drafts = readDrafts(storage);
+  if (!(name in drafts)) return false;
+  delete drafts[name];
+  return writeDrafts(drafts, storage);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    HISTORY_LIMIT, DRAFTS_KEY, BUILDER_GROUND_FLOOR, snapshotSketch, normalizeSketch, nextFloorId,
+    createHistory, recordEdit, undoEdit, redoEdit,
+    readDrafts, writeDrafts, listDrafts, saveDraft, loadDraft, deleteDraft,
+  };
+}
@@ -0,0 +1,411 @@
+/**
+ * BUILDING FILE FORMAT
+ * Versioned JSON description of a site: floors, nodes, connections, exits,
+ * map geometry and hazard presets. One file replaces the hand-written tables
+ * in buildingGraph.js and the map tables in index.html.
+ *
+ *   {
+ *     "format": "evac-building", "version": 1, "name": "…", "startNode": "Control",
+ *     "map":     { "width": 2788.5, "height": 831 },                       // optional
+ *     "floors":  [{ "id": "GF", "label": "Ground Floor", "order": 1, "color": "#16213e",
+ *                   "box": { "x": 872, "y": 8, "w": 891, "h": 405 } }],   // listed in sidebar order
+ *     "nodes":   [{ "id": "Hall", "label": "Main Hall", "floor": "GF", "type": "corridor",
+ *                   "occupants": 20, "capacity": 60, "ignition": 0.08,     // optional
+ *                   "map": { "x": 1357, "y": 245, "w": 97, "h": 45, "label": "Main Hall" } }],
+ *     "edges":   [{ "from": "Hall", "to": "ExitB", "cross": false,         // undirected
+ *                   "length": 28, "capacity": 50 }],                      // optional
+ *     "exits":   ["ExitA", "ExitB"],
+ *     "sensors": [{ "id": "SD-GF-01", "node": "Hall", "kind": "smoke" }],     // optional
+ *     "presets": [{ "name": "…", "description": "…", "nodes": ["Hall"], "edges": [["Hall", "StairG"]],
+ *                   "types": { "Hall": "smoke" } }]                       // types optional, default fire
+ *   }
+ *
+ * Requires pathfinder.js (edgeKey, ROUTE_COSTS, HAZARD_POLICY) to be loaded first.
+ */
+
+const BUILDING_FORMAT = 'evac-building';
+const BUILDING_FORMAT_VERSION = 1;
+const NODE_TYPES = ['room', 'corridor', 'stair', 'elevator', 'refuge', 'exit', 'control'];
+const SENSOR_KINDS = ['smoke', 'heat', 'door'];
+
+// Unique undirected [a, b] pairs from an adjacency list
+function edgesFromAdjacency(adjacency) {
+  const seen = new Set();
+  const edges = [];
+  for (const [a, neighbours] of Object.entries(adjacency)) {
+    for (const b of neighbours) {
+      const key = edgeKey(a, b);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push([a, b]);
+    }
+  }
+  return edges;
+}
+
+// ─────────────────────────────────────────────────────────────
+// EXPORT
+// ─────────────────────────────────────────────────────────────
+//   floors      id → { label, color, order }
+//   floorOrder  floor ids in sidebar order (defaults to floors' key order)
+//   floorBoxes  id → { x, y, w, h }            (optional)
+//   nodes       id → { label, floor, type, occupants?, capacity?, ignition? }
+//   geometry    id → { x, y, w, h, l }         (optional, the index.html ND table)
+//   edges       [[a, b, 'cross'?]]             (defaults to pairs from adjacency)
+//   sensors     id → { node, kind }            (optional)
+function exportBuilding({
+  name = 'Building', floors, floorOrder = Object.keys(floors), floorBoxes = {}, map = null,
+  nodes, geometry = {}, adjacency, edges = edgesFromAdjacency(adjacency),
+  lengths = {}, capacity = {}, exits, startNode, presets = {}, sensors = {},
+}) {
+  const out = { format: BUILDING_FORMAT, version: BUILDING_FORMAT_VERSION, name, startNode };
+  if (map) out.map = { width: map.width, height: map.height };
+
+  out.floors = floorOrder.map(id => {
+    const f = { id, label: floors[id].label, order: floors[id].order };
+    if (floors[id].color) f.color = floors[id].color;
+    if (floorBoxes[id]) f.box = { ...floorBoxes[id] };
+    return f;
+  });
+
+  out.nodes = Object.entries(nodes).map(([id, n]) => {
+    const node = { id, label: n.label, floor: n.floor, type: n.type };
+    if (n.occupants) node.occupants = n.occupants;
+    if (n.capacity) node.capacity = n.capacity;
+    if (n.ignition !== undefined) node.ignition = n.ignition;
+    const g = geometry[id];
+    if (g) node.map = { x: g.x, y: g.y, w: g.w, h: g.h, label: g.l };
+    return node;
+  });
+
+  out.edges = edges.map(([a, b, t]) => {
+    const key = edgeKey(a, b);
+    const edge = { from: a, to: b };
+    if (t === 'cross') edge.cross = true;
+    if (lengths[key]) edge.length = lengths[key];
+    if (capacity[key]) edge.capacity = capacity[key];
+    return edge;
+  });
+
+  out.exits = [...exits];
+  if (Object.keys(sensors).length) {
+    out.sensors = Object.entries(sensors).map(([id, s]) => ({ id, node: s.node, kind: s.kind }));
+  }
+  out.presets = Object.entries(presets).map(([presetName, p]) => {
+    const preset = {
+      name: presetName,
+      description: p.description || '',
+      nodes: [...p.nodes],
+      edges: (p.edges || []).map(([a, b]) => [a, b]),
+    };
+    const types = Object.entries(p.types || {}).filter(([id]) => p.nodes.includes(id));
+    if (types.length) preset.types = Object.fromEntries(types);
+    return preset;
+  });
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────
+// VALIDATION
+// ─────────────────────────────────────────────────────────────
+// Returns a list of human-readable problems; an empty list means the file is usable.
+function validateBuilding(data) {
+  const errors = [];
+  const err = msg => errors.push(msg);
+  const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  const isText = v => typeof v === 'string' && v.trim() !== '';
+  // Labels end up in the map and sidebar markup
+  const checkText = (v, where, field) => {
+    if (!isText(v)) err(`${where}: missing "${field}"`);
+    else if (/[<>"]/.test(v)) err(`${where}: "${field}" may not contain <, > or "`);
+  };
+
+  if (!isObj(data)) return ['File is not a JSON object'];
+  if (data.format !== BUILDING_FORMAT) {
+    err(`"format" must be "${BUILDING_FORMAT}" (found ${JSON.stringify(data.format)})`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    err('"version" must be a positive whole number');
+  } else if (data.version > BUILDING_FORMAT_VERSION) {
+    err(`"version" ${data.version} is newer than this planner supports (${BUILDING_FORMAT_VERSION})`);
+  }
+  if (errors.length) return errors;
+  if (data.name !== undefined && (!isText(data.name) || /[<>"]/.test(data.name))) err('"name" must be text without <, > or "');
+
+  const checkBox = (box, where, keys) => {
+    if (box === undefined) return;
+    if (!isObj(box) || keys.some(k => !isNum(box[k]))) {
+      err(`${where}: must have numeric ${keys.join(', ')}`);
+    } else if ((keys.includes('w') && box.w <= 0) || (keys.includes('h') && box.h <= 0)) {
+      err(`${where}: width and height must be positive`);
+    }
+  };
+
+  // ── floors ──
+  const floorIds = new Set();
+  if (!Array.isArray(data.floors) || !data.floors.length) {
+    err('"floors" must be a non-empty list');
+  } else {
+    data.floors.forEach((f, i) => {
+      const where = `floors[${i}]${isText(f?.id) ? ` "${f.id}"` : ''}`;
+      if (!isObj(f)) return err(`${where}: must be an object`);
+      if (!isText(f.id)) return err(`${where}: missing "id"`);
+      if (!/^[A-Za-z0-9_-]+$/.test(f.id)) err(`${where}: id may only use letters, digits, "_" and "-"`);
+      if (floorIds.has(f.id)) err(`${where}: id is used by another floor`);
+      floorIds.add(f.id);
+      checkText(f.label, where, 'label');
+      if (!isNum(f.order)) err(`${where}: "order" must be a number`);
+      checkBox(f.box, `${where} box`, ['x', 'y', 'w', 'h']);
+    });
+  }
+
+  // ── nodes ──
+  const nodeIds = new Set();
+  if (!Array.isArray(data.nodes) || !data.nodes.length) {
+    err('"nodes" must be a non-empty list');
+  } else {
+    data.nodes.forEach((n, i) => {
+      const where = `nodes[${i}]${isText(n?.id) ? ` "${n.id}"` : ''}`;
+      if (!isObj(n)) return err(`${where}: must be an object`);
+      if (!isText(n.id)) return err(`${where}: missing "id"`);
+      if (!/^[A-Za-z0-9_-]+$/.test(n.id)) err(`${where}: id may only use letters, digits, "_" and "-"`);
+      if (nodeIds.has(n.id)) err(`${where}: id is used by another node`);
+      nodeIds.add(n.id);
+      checkText(n.label, where, 'label');
+      if (n.map?.label !== undefined) checkText(n.map.label, `${where} map`, 'label');
+      if (!floorIds.has(n.floor)) err(`${where}: floor ${JSON.stringify(n.floor)} is not listed in "floors"`);
+      if (!NODE_TYPES.includes(n.type)) err(`${where}: type ${JSON.stringify(n.type)} must be one of ${NODE_TYPES.join(', ')}`);
+      if (n.occupants !== undefined && !(Number.isInteger(n.occupants) && n.occupants >= 0)) {
+        err(`${where}: "occupants" must be a whole number ≥ 0`);
+      }
+      if (n.capacity !== undefined && !(isNum(n.capacity) && n.capacity > 0)) {
+        err(`${where}: "capacity" must be a positive number (people per minute)`);
+      }
+      if (n.ignition !== undefined && !(isNum(n.ignition) && n.ignition >= 0 && n.ignition <= 1)) {
+        err(`${where}: "ignition" must be a probability between 0 and 1`);
+      }
+      checkBox(n.map, `${where} map`, ['x', 'y', 'w', 'h']);
+    });
+  }
+
+  // ── edges ──
+  const edgeKeys = new Set();
+  if (!Array.isArray(data.edges)) {
+    err('"edges" must be a list');
+  } else {
+    data.edges.forEach((e, i) => {
+      const where = `edges[${i}]`;
+      if (!isObj(e)) return err(`${where}: must be an object`);
+      for (const end of ['from', 'to']) {
+        if (!nodeIds.has(e[end])) err(`${where}: "${end}" ${JSON.stringify(e[end])} is not a node`);
+      }
+      if (e.from === e.to) err(`${where}: connects "${e.from}" to itself`);
+      const key = edgeKey(String(e.from), String(e.to));
+      if (edgeKeys.has(key)) err(`${where}: "${e.from}" ↔ "${e.to}" is listed twice`);
+      edgeKeys.add(key);
+      if (e.length !== undefined && !(isNum(e.length) && e.length > 0)) err(`${where}: "length" must be a positive number of metres`);
+      if (e.capacity !== undefined && !(isNum(e.capacity) && e.capacity > 0)) err(`${where}: "capacity" must be a positive number (people per minute)`);
+    });
+  }
+
+  // ── exits & start ──
+  if (!Array.isArray(data.exits) || !data.exits.length) {
+    err('"exits" must list at least one node');
+  } else {
+    data.exits.forEach((id, i) => {
+      if (!nodeIds.has(id)) err(`exits[${i}]: ${JSON.stringify(id)} is not a node`);
+    });
+  }
+  if (!nodeIds.has(data.startNode)) {
+    err(`"startNode" ${JSON.stringify(data.startNode)} is not a node`);
+  } else if (Array.isArray(data.exits) && data.exits.includes(data.startNode)) {
+    err(`"startNode" "${data.startNode}" is an exit — pick a room`);
+  }
+
+  // ── sensors ──
+  if (data.sensors !== undefined) {
+    if (!Array.isArray(data.sensors)) {
+      err('"sensors" must be a list');
+    } else {
+      const sensorIds = new Set();
+      data.sensors.forEach((s, i) => {
+        const where = `sensors[${i}]${isText(s?.id) ? ` "${s.id}"` : ''}`;
+        if (!isObj(s)) return err(`${where}: must be an object`);
+        checkText(s.id, where, 'id');
+        if (sensorIds.has(s.id)) err(`${where}: id is used by another sensor`);
+        sensorIds.add(s.id);
+        if (!nodeIds.has(s.node)) err(`${where}: "node" ${JSON.stringify(s.node)} is not a node`);
+        if (!SENSOR_KINDS.includes(s.kind)) err(`${where}: kind ${JSON.stringify(s.kind)} must be one of ${SENSOR_KINDS.join(', ')}`);
+      });
+    }
+  }
+
+  // ── presets ──
+  if (data.presets !== undefined) {
+    if (!Array.isArray(data.presets)) {
+      err('"presets" must be a list');
+    } else {
+      const names = new Set();
+      data.presets.forEach((p, i) => {
+        const where = `presets[${i}]${isText(p?.name) ? ` "${p.name}"` : ''}`;
+        if (!isObj(p)) return err(`${where}: must be an object`);
+        checkText(p.name, where, 'name');
+        if (p.description !== undefined && typeof p.description !== 'string') err(`${where}: "description" must be text`);
+        else if (/[<>"]/.test(p.description || '')) err(`${where}: "description" may not contain <, > or "`);
+        if (names.has(p.name)) err(`${where}: name is used by another preset`);
+        names.add(p.name);
+        if (!Array.isArray(p.nodes)) err(`${where}: "nodes" must be a list`);
+        else p.nodes.forEach(id => { if (!nodeIds.has(id)) err(`${where}: ${JSON.stringify(id)} is not a node`); });
+        if (p.types !== undefined && !isObj(p.types)) err(`${where}: "types" must map node ids to hazard types`);
+        else Object.entries(p.types || {}).forEach(([id, type]) => {
+          if (!Array.isArray(p.nodes) || !p.nodes.includes(id)) err(`${where}: "types" names ${JSON.stringify(id)}, which is not in "nodes"`);
+          if (!Object.hasOwn(HAZARD_POLICY, type)) err(`${where}: ${JSON.stringify(id)} has unknown hazard type ${JSON.stringify(type)}`);
+        });
+        if (p.edges !== undefined && !Array.isArray(p.edges)) err(`${where}: "edges" must be a list of [from, to] pairs`);
+        else (p.edges || []).forEach(pair => {
+          if (!Array.isArray(pair) || pair.length !== 2) return err(`${where}: "edges" must be a list of [from, to] pairs`);
+          if (!edgeKeys.has(edgeKey(String(pair[0]), String(pair[1])))) err(`${where}: ${JSON.stringify(pair[0])} ↔ ${JSON.stringify(pair[1])} is not a connection`);
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ─────────────────────────────────────────────────────────────
+// IMPORT
+// ─────────────────────────────────────────────────────────────
+// Converts a validated file into the same table shapes buildingGraph.js and the
+// index.html map use. geometry / floorBoxes only hold entries that have them.
+function readBuilding(data) {
+  const floors = {}, floorBoxes = {}, nodes = {}, geometry = {}, adjacency = {};
+  const lengths = {}, capacity = {}, presets = {}, sensors = {};
+
+  data.floors.forEach(f => {
+    floors[f.id] = { label: f.label, color: f.color || '#16213e', order: f.order };
+    if (f.box) floorBoxes[f.id] = { ...f.box };
+  });
+
+  data.nodes.forEach(n => {
+    const node = { label: n.label, floor: n.floor, type: n.type };
+    if (n.occupants !== undefined) node.occupants = n.occupants;
+    if (n.capacity !== undefined) node.capacity = n.capacity;
+    if (n.ignition !== undefined) node.ignition = n.ignition;
+    nodes[n.id] = node;
+    adjacency[n.id] = [];
+    if (n.map) geometry[n.id] = { x: n.map.x, y: n.map.y, w: n.map.w, h: n.map.h, l: n.map.label || n.label };
+  });
+
+  const edges = data.edges.map(e => {
+    adjacency[e.from].push(e.to);
+    adjacency[e.to].push(e.from);
+    const key = edgeKey(e.from, e.to);
+    if (e.length) lengths[key] = e.length;
+    if (e.capacity) capacity[key] = e.capacity;
+    return e.cross ? [e.from, e.to, 'cross'] : [e.from, e.to];
+  });
+
+  (data.sensors || []).forEach(s => {
+    sensors[s.id] = { node: s.node, kind: s.kind };
+  });
+
+  (data.presets || []).forEach(p => {
+    presets[p.name] = { nodes: [...p.nodes], edges: (p.edges || []).map(([a, b]) => [a, b]), description: p.description || '' };
+    if (p.types) presets[p.name].types = { ...p.types };
+  });
+
+  return {
+    name: data.name || 'Imported building',
+    floors, floorOrder: data.floors.map(f => f.id), floorBoxes,
+    map: data.map ? { width: data.map.width, height: data.map.height } : null,
+    nodes, geometry, adjacency, edges, lengths, capacity,
+    exits: new Set(data.exits),
+    startNode: data.startNode,
+    presets,
+    sensors,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// BUILDER → BUILDING
+// ─────────────────────────────────────────────────────────────
+// Occupancy / throughput given to Builder nodes, which have none of their own
+const BUILDER_DEFAULTS = {
+  room:     { occupants: 10 },
+  control:  { occupants: 5 },
+  corridor: { occupants: 5 },
+  stair:    { capacity: 45 },
+  exit:     { capacity: 60 },
+};
+
+// Turns a Builder sketch ({ floors: [{ id, label }] bottom to top,
+// nodes: id → { label, type, floor, x, y }, edges: [[a, b]] }) into a building file.
+// Floors are stacked top to bottom on the main map. Canvas pixels are drawn
+// `scale`× larger there, so every same-floor edge gets an explicit length that
+// keeps the distances the Builder showed; links between floors are stair
+// flights, or lift rides between two lifts.
+function builderToBuilding({ floors = [{ id: 'GF', label: 'Ground Floor' }], nodes, edges }, { name = 'Builder layout', scale = 2 } = {}) {
+  // Builder ids are free-form; the file format wants plain identifiers
+  const ids = {};
+  const used = new Set();
+  for (const id of Object.keys(nodes)) {
+    let safe = id.replace(/[^A-Za-z0-9_-]/g, '_');
+    while (used.has(safe)) safe += '_';
+    used.add(safe);
+    ids[id] = safe;
+  }
+  const floorOf = n => floors.some(f => f.id === n.floor) ? n.floor : floors[0].id;
+
+  const fileNodes = Object.entries(nodes).map(([id, n]) => {
+    const type = n.type === 'start' ? 'control' : n.type || 'room';
+    return {
+      id: ids[id], label: n.label, floor: floorOf(n), type,
+      ...BUILDER_DEFAULTS[type],
+      map: { x: Math.round(n.x * scale), y: Math.round(n.y * scale), w: Math.max(70, n.label.length * 9 + 24), h: 45, label: n.label },
+    };
+  });
+
+  // Top floor first, each floor box hugging its own nodes
+  let top = 8;
+  const fileFloors = [...floors].reverse().map(f => {
+    const fileFloor = { id: f.id, label: f.label, order: floors.indexOf(f) };
+    const onFloor = fileNodes.filter(n => n.floor === f.id);
+    if (!onFloor.length) return fileFloor;
+    const xs = onFloor.flatMap(n => [n.map.x - n.map.w / 2, n.map.x + n.map.w / 2]);
+    const ys = onFloor.flatMap(n => [n.map.y - n.map.h / 2, n.map.y + n.map.h / 2]);
+    const x = Math.min(...xs) - 40, y = Math.min(...ys) - 50;   // room for the floor label
+    fileFloor.box = { x: 8, y: top, w: Math.max(...xs) + 40 - x, h: Math.max(...ys) + 30 - y };
+    onFloor.forEach(n => { n.map.x += 8 - x; n.map.y += top - y; });
+    top += fileFloor.box.h + 30;
+    return fileFloor;
+  });
+
+  const fileEdges = edges.filter(([a, b]) => nodes[a] && nodes[b]).map(([a, b]) => {
+    if (floorOf(nodes[a]) !== floorOf(nodes[b])) return { from: ids[a], to: ids[b], cross: true };
+    return {
+      from: ids[a], to: ids[b],
+      length: Math.max(0.1, Math.round(Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y) * ROUTE_COSTS.unitsToMeters * 10) / 10),
+    };
+  });
+
+  const start = fileNodes.find(n => n.type === 'control') || fileNodes.find(n => n.type !== 'exit');
+  return {
+    format: BUILDING_FORMAT, version: BUILDING_FORMAT_VERSION, name,
+    startNode: start?.id ?? null,
+    floors: fileFloors,
+    nodes: fileNodes,
+    edges: fileEdges,
+    exits: fileNodes.filter(n => n.type === 'exit').map(n => n.id),
+    presets: [],
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    BUILDING_FORMAT, BUILDING_FORMAT_VERSION, NODE_TYPES, SENSOR_KINDS,
+    BUILDER_DEFAULTS,
+    edgesFromAdjacency, exportBuilding, validateBuilding, readBuilding, builderToBuilding,
+  };
+}
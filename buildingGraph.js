@@ -13,105 +13,166 @@ const FLOORS = {
 };
 
 // Node definitions: id, label, floor, type
+//   type      — room, corridor, stair, elevator, refuge (protected area to
+//               wait for assistance), exit, control
+//   occupants — people normally present (rooms, corridors)
+//   capacity  — throughput in people per minute (exits, stairwells)
+//   ignition  — chance a fire starts here in a risk scenario (riskSim.js
+//               falls back to a per-type rate when it is not given)
 const NODES = {
   // ── BASEMENT ──────────────────────────────────────────────
-  Parking:       { label: 'Parking',         floor: 'B1', type: 'room' },
-  Electrical:    { label: 'Electrical Room',  floor: 'B1', type: 'room' },
-  Generator:     { label: 'Generator Room',   floor: 'B1', type: 'room' },
-  StairB:        { label: 'Stairwell B',      floor: 'B1', type: 'stair' },
-  EmergencyExit: { label: 'Emergency Exit',   floor: 'B1', type: 'exit' },
+  Parking:       { label: 'Parking',         floor: 'B1', type: 'room', occupants: 15 },
+  Electrical:    { label: 'Electrical Room',  floor: 'B1', type: 'room', occupants: 2, ignition: 0.04 },
+  Generator:     { label: 'Generator Room',   floor: 'B1', type: 'room', occupants: 1, ignition: 0.06 },
+  StairB:        { label: 'Stairwell B',      floor: 'B1', type: 'stair', capacity: 30 },
+  LiftB:         { label: 'Lift (B1)',        floor: 'B1', type: 'elevator' },
+  EmergencyExit: { label: 'Emergency Exit',   floor: 'B1', type: 'exit', capacity: 40 },
 
   // ── GROUND FLOOR ──────────────────────────────────────────
-  Entrance:  { label: 'Entrance',      floor: 'GF', type: 'room' },
-  Reception: { label: 'Reception',     floor: 'GF', type: 'room' },
-  Hall:      { label: 'Main Hall',     floor: 'GF', type: 'corridor' },
-  Control:   { label: 'Control Room',  floor: 'GF', type: 'control' },  // START
-  KitchenG:  { label: 'Kitchen (GF)',  floor: 'GF', type: 'room' },
-  WashG:     { label: 'Washroom (GF)', floor: 'GF', type: 'room' },
-  StairG:    { label: 'Stairwell G',   floor: 'GF', type: 'stair' },
-  ExitA:     { label: 'Exit A',        floor: 'GF', type: 'exit' },
-  ExitB:     { label: 'Exit B',        floor: 'GF', type: 'exit' },
+  Entrance:  { label: 'Entrance',      floor: 'GF', type: 'room', occupants: 10 },
+  Reception: { label: 'Reception',     floor: 'GF', type: 'room', occupants: 8 },
+  Hall:      { label: 'Main Hall',     floor: 'GF', type: 'corridor', occupants: 20 },
+  Control:   { label: 'Control Room',  floor: 'GF', type: 'control', occupants: 6 },  // START
+  KitchenG:  { label: 'Kitchen (GF)',  floor: 'GF', type: 'room', occupants: 12, ignition: 0.08 },
+  WashG:     { label: 'Washroom (GF)', floor: 'GF', type: 'room', occupants: 4 },
+  StairG:    { label: 'Stairwell G',   floor: 'GF', type: 'stair', capacity: 60 },
+  LiftG:     { label: 'Lift (GF)',     floor: 'GF', type: 'elevator' },
+  ExitA:     { label: 'Exit A',        floor: 'GF', type: 'exit', capacity: 90 },
+  ExitB:     { label: 'Exit B',        floor: 'GF', type: 'exit', capacity: 60 },
 
   // ── FLOOR 1 ───────────────────────────────────────────────
-  Lobby1:  { label: 'Lobby 1',         floor: 'F1', type: 'corridor' },
-  R101:    { label: 'Room 101',         floor: 'F1', type: 'room' },
-  R102:    { label: 'Room 102',         floor: 'F1', type: 'room' },
-  Office:  { label: 'Office',           floor: 'F1', type: 'room' },
-  Wash1:   { label: 'Washroom (F1)',    floor: 'F1', type: 'room' },
-  Storage: { label: 'Storage',          floor: 'F1', type: 'room' },
-  Stair1:  { label: 'Stairwell 1',      floor: 'F1', type: 'stair' },
+  Lobby1:  { label: 'Lobby 1',         floor: 'F1', type: 'corridor', occupants: 5 },
+  R101:    { label: 'Room 101',         floor: 'F1', type: 'room', occupants: 30 },
+  R102:    { label: 'Room 102',         floor: 'F1', type: 'room', occupants: 30 },
+  Office:  { label: 'Office',           floor: 'F1', type: 'room', occupants: 25 },
+  Wash1:   { label: 'Washroom (F1)',    floor: 'F1', type: 'room', occupants: 4 },
+  Storage: { label: 'Storage',          floor: 'F1', type: 'room', occupants: 2 },
+  Stair1:  { label: 'Stairwell 1',      floor: 'F1', type: 'stair', capacity: 45 },
+  Lift1:   { label: 'Lift (F1)',        floor: 'F1', type: 'elevator' },
+  Refuge1: { label: 'Refuge F1',        floor: 'F1', type: 'refuge' },
 
   // ── FLOOR 2 ───────────────────────────────────────────────
-  Lobby2:   { label: 'Lobby 2',         floor: 'F2', type: 'corridor' },
-  R201:     { label: 'Room 201',         floor: 'F2', type: 'room' },
-  R202:     { label: 'Room 202',         floor: 'F2', type: 'room' },
-  Kitchen2: { label: 'Kitchen (F2)',     floor: 'F2', type: 'room' },
-  Wash2:    { label: 'Washroom (F2)',    floor: 'F2', type: 'room' },
-  Server:   { label: 'Server Room',      floor: 'F2', type: 'room' },
-  Stair2:   { label: 'Stairwell 2',      floor: 'F2', type: 'stair' },
+  Lobby2:   { label: 'Lobby 2',         floor: 'F2', type: 'corridor', occupants: 5 },
+  R201:     { label: 'Room 201',         floor: 'F2', type: 'room', occupants: 35 },
+  R202:     { label: 'Room 202',         floor: 'F2', type: 'room', occupants: 35 },
+  Kitchen2: { label: 'Kitchen (F2)',     floor: 'F2', type: 'room', occupants: 10, ignition: 0.08 },
+  Wash2:    { label: 'Washroom (F2)',    floor: 'F2', type: 'room', occupants: 4 },
+  Server:   { label: 'Server Room',      floor: 'F2', type: 'room', occupants: 2, ignition: 0.05 },
+  Stair2:   { label: 'Stairwell 2',      floor: 'F2', type: 'stair', capacity: 45 },
+  Lift2:    { label: 'Lift (F2)',        floor: 'F2', type: 'elevator' },
+  Refuge2:  { label: 'Refuge F2',        floor: 'F2', type: 'refuge' },
 
   // ── FLOOR 3 ───────────────────────────────────────────────
-  Lobby3:   { label: 'Lobby 3',         floor: 'F3', type: 'corridor' },
-  R301:     { label: 'Room 301',         floor: 'F3', type: 'room' },
-  R302:     { label: 'Room 302',         floor: 'F3', type: 'room' },
-  R303:     { label: 'Room 303',         floor: 'F3', type: 'room' },
-  Wash3:    { label: 'Washroom (F3)',    floor: 'F3', type: 'room' },
-  Balcony3: { label: 'Balcony',          floor: 'F3', type: 'room' },
-  Stair3:   { label: 'Stairwell 3',      floor: 'F3', type: 'stair' },
+  Lobby3:   { label: 'Lobby 3',         floor: 'F3', type: 'corridor', occupants: 5 },
+  R301:     { label: 'Room 301',         floor: 'F3', type: 'room', occupants: 40 },
+  R302:     { label: 'Room 302',         floor: 'F3', type: 'room', occupants: 40 },
+  R303:     { label: 'Room 303',         floor: 'F3', type: 'room', occupants: 30 },
+  Wash3:    { label: 'Washroom (F3)',    floor: 'F3', type: 'room', occupants: 4 },
+  Balcony3: { label: 'Balcony',          floor: 'F3', type: 'room', occupants: 6 },
+  Stair3:   { label: 'Stairwell 3',      floor: 'F3', type: 'stair', capacity: 45 },
+  Lift3:    { label: 'Lift (F3)',        floor: 'F3', type: 'elevator' },
+  Refuge3:  { label: 'Refuge F3',        floor: 'F3', type: 'refuge' },
 };
 
 // Adjacency list (bidirectional connections derived from SVG edges)
 const ADJACENCY = {
   // BASEMENT
-  Parking:       ['Electrical', 'Generator', 'StairB', 'EmergencyExit'],
+  Parking:       ['Electrical', 'Generator', 'StairB', 'LiftB', 'EmergencyExit'],
   Electrical:    ['Parking'],
   Generator:     ['Parking'],
   StairB:        ['Parking', 'StairG'],           // cross-floor
+  LiftB:         ['Parking', 'LiftG'],            // lift shaft
   EmergencyExit: ['Parking'],
 
   // GROUND FLOOR
   Entrance:  ['Reception'],
   Reception: ['Entrance', 'Hall'],
-  Hall:      ['Reception', 'Control', 'KitchenG', 'WashG', 'StairG', 'ExitA', 'ExitB'],
+  Hall:      ['Reception', 'Control', 'KitchenG', 'WashG', 'StairG', 'LiftG', 'ExitA', 'ExitB'],
   Control:   ['Hall'],
   KitchenG:  ['Hall'],
   WashG:     ['Hall'],
   StairG:    ['Hall', 'Stair1', 'StairB'],        // cross-floor
+  LiftG:     ['Hall', 'Lift1', 'LiftB'],          // lift shaft
   ExitA:     ['Hall'],
   ExitB:     ['Hall'],
 
   // FLOOR 1
-  Lobby1:  ['R101', 'R102', 'Office', 'Wash1', 'Storage', 'Stair1'],
+  Lobby1:  ['R101', 'R102', 'Office', 'Wash1', 'Storage', 'Stair1', 'Lift1', 'Refuge1'],
   R101:    ['Lobby1'],
   R102:    ['Lobby1'],
   Office:  ['Lobby1'],
   Wash1:   ['Lobby1'],
   Storage: ['Lobby1'],
   Stair1:  ['Lobby1', 'StairG', 'Stair2'],        // cross-floor
+  Lift1:   ['Lobby1', 'LiftG', 'Lift2'],          // lift shaft
+  Refuge1: ['Lobby1'],
 
   // FLOOR 2
-  Lobby2:   ['R201', 'R202', 'Kitchen2', 'Wash2', 'Server', 'Stair2'],
+  Lobby2:   ['R201', 'R202', 'Kitchen2', 'Wash2', 'Server', 'Stair2', 'Lift2', 'Refuge2'],
   R201:     ['Lobby2'],
   R202:     ['Lobby2'],
   Kitchen2: ['Lobby2'],
   Wash2:    ['Lobby2'],
   Server:   ['Lobby2'],
   Stair2:   ['Lobby2', 'Stair1', 'Stair3'],       // cross-floor
+  Lift2:    ['Lobby2', 'Lift1', 'Lift3'],         // lift shaft
+  Refuge2:  ['Lobby2'],
 
   // FLOOR 3
-  Lobby3:   ['R301', 'R302', 'R303', 'Wash3', 'Balcony3', 'Stair3'],
+  Lobby3:   ['R301', 'R302', 'R303', 'Wash3', 'Balcony3', 'Stair3', 'Lift3', 'Refuge3'],
   R301:     ['Lobby3'],
   R302:     ['Lobby3'],
   R303:     ['Lobby3'],
   Wash3:    ['Lobby3'],
   Balcony3: ['Lobby3'],
   Stair3:   ['Lobby3', 'Stair2'],                 // cross-floor
+  Lift3:    ['Lobby3', 'Lift2'],                  // lift shaft
+  Refuge3:  ['Lobby3'],
+};
+
+// Explicit edge lengths in metres — override lengths derived from map geometry
+const EDGE_LENGTHS = {
+  'EmergencyExit::Parking': 35,   // ramp up to street level
+  'ExitB::Hall':            28,   // service corridor behind the kitchen
+};
+
+// Throughput of individual doors / stair flights in people per minute.
+// Edges not listed here are not a bottleneck.
+const EDGE_CAPACITY = {
+  'Lobby1::Stair1': 40,   // fire doors onto the stair cores
+  'Lobby2::Stair2': 40,
+  'Lobby3::Stair3': 40,
+  'Hall::Reception': 50,
+};
+
+// Field devices: sensor id → the node it watches (sensorFeed.js).
+//   kind — smoke / heat detector, or a door contact on a fire door or exit
+const SENSORS = {
+  'SD-B1-01':  { node: 'Parking',       kind: 'smoke' },
+  'HD-B1-02':  { node: 'Electrical',    kind: 'heat' },
+  'HD-B1-03':  { node: 'Generator',     kind: 'heat' },
+  'DC-B1-EX':  { node: 'EmergencyExit', kind: 'door' },
+  'SD-GF-01':  { node: 'Hall',          kind: 'smoke' },
+  'HD-GF-02':  { node: 'KitchenG',      kind: 'heat' },
+  'SD-GF-03':  { node: 'Reception',     kind: 'smoke' },
+  'DC-GF-EA':  { node: 'ExitA',         kind: 'door' },
+  'DC-GF-EB':  { node: 'ExitB',         kind: 'door' },
+  'SD-GF-ST':  { node: 'StairG',        kind: 'smoke' },
+  'SD-F1-01':  { node: 'Lobby1',        kind: 'smoke' },
+  'SD-F1-ST':  { node: 'Stair1',        kind: 'smoke' },
+  'SD-F2-01':  { node: 'Lobby2',        kind: 'smoke' },
+  'HD-F2-02':  { node: 'Kitchen2',      kind: 'heat' },
+  'SD-F2-03':  { node: 'Server',        kind: 'smoke' },
+  'SD-F2-ST':  { node: 'Stair2',        kind: 'smoke' },
+  'SD-F3-01':  { node: 'Lobby3',        kind: 'smoke' },
+  'SD-F3-ST':  { node: 'Stair3',        kind: 'smoke' },
 };
 
 const EXITS = new Set(['ExitA', 'ExitB', 'EmergencyExit']);
 const START_NODE = 'Control';
 
-// Hazard presets for quick scenario testing
+// Hazard presets for quick scenario testing. `types` gives a node a hazard
+// type other than fire (see HAZARD_POLICY in pathfinder.js).
 const HAZARD_PRESETS = {
   'Ground Floor Fire': {
     nodes: ['Hall', 'KitchenG'],
@@ -120,21 +181,29 @@ const HAZARD_PRESETS = {
   },
   'Exit A Blocked': {
     nodes: ['ExitA'],
+    types: { ExitA: 'exit_blocked' },
     edges: [],
     description: 'Exit A is sealed — forces route to alternate exit'
   },
   'Full Lockdown': {
     nodes: ['ExitA', 'ExitB', 'EmergencyExit'],
+    types: { ExitA: 'exit_blocked', ExitB: 'exit_blocked', EmergencyExit: 'exit_blocked' },
     edges: [],
-    description: 'All exits blocked — evacuation impossible'
+    description: 'All exits blocked — only the refuges can be reached'
   },
   'Stairwell Fire': {
     nodes: ['StairG', 'Stair1'],
     edges: [],
     description: 'Stairwells G and 1 on fire — upper floors isolated'
   },
+  'Stair Door Jammed': {
+    nodes: [],
+    edges: [['Hall', 'StairG']],
+    description: 'Door from Stairwell G into the Main Hall jammed — upper floors must use the basement exit'
+  },
   'Smoke on F2': {
     nodes: ['Lobby2', 'Server', 'Kitchen2'],
+    types: { Lobby2: 'smoke', Server: 'smoke', Kitchen2: 'smoke' },
     edges: [],
     description: 'Smoke fills Floor 2 corridor and adjacent rooms'
   },
@@ -142,5 +211,5 @@ const HAZARD_PRESETS = {
 
 // Export everything
 if (typeof module !== 'undefined') {
-  module.exports = { FLOORS, NODES, ADJACENCY, EXITS, START_NODE, HAZARD_PRESETS };
+  module.exports = { FLOORS, NODES, ADJACENCY, EDGE_LENGTHS, EDGE_CAPACITY, SENSORS, EXITS, START_NODE, HAZARD_PRESETS };
 }
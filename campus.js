@@ -0,0 +1,324 @@
+/**
+ * CAMPUS FILE FORMAT
+ * Several buildings on one site, joined by an outdoor layer of paths and
+ * assembly (muster) points. Each building is a whole building file
+ * (buildingFormat.js); the campus adds where it stands and how its exits
+ * lead to the assembly points:
+ *
+ *   {
+ *     "format": "evac-campus", "version": 1, "name": "…", "startNode": "Main.Control",
+ *     "map":       { "width": 1000, "height": 620 },                      // overview size, optional
+ *     "buildings": [{ "id": "Main", "site": { "x": 80, "y": 60, "w": 360, "h": 220 },
+ *                     "building": { "format": "evac-building", … } }],
+ *     "outdoor": {
+ *       "nodes": [{ "id": "Quad", "label": "The Quad", "type": "outdoor", "site": { "x": 520, "y": 300 } },
+ *                 { "id": "APNorth", "label": "Assembly Point N", "type": "assembly", "site": { "x": 520, "y": 40 },
+ *                   "capacity": 400 }],                                   // capacity optional
+ *       "edges": [{ "from": "Main.ExitA", "to": "Quad", "length": 40, "capacity": 80 }]   // undirected
+ *     },
+ *     "presets": [{ "name": "…", "nodes": ["Main.Hall", "Quad"], "types": { "Quad": "smoke" } }]   // optional
+ *   }
+ *
+ * readCampus merges a campus into one building in the readBuilding shape, so
+ * the planner routes across it like any other site. Building nodes and floors
+ * become "<building>.<id>" ("Main.Hall", "Main.GF"); floors are labelled
+ * "<building name> · <floor>" and keep the plain label as floorLabel. Outdoor
+ * nodes keep their ids and stand on OUTDOOR_FLOOR. The assembly points are the
+ * merged building's exits, so every route ends at the nearest safe one, and a
+ * building's own exits are doors on the way. The merged building also carries
+ *   campus: { buildings: [{ id, name, site, floors, map, doors, startNode }],
+ *             outdoor: { nodes, site: id → { x, y }, edges: [[a, b]] }, map }
+ * for the overview map.
+ * Requires pathfinder.js and buildingFormat.js to be loaded first.
+ */
+
+const CAMPUS_FORMAT = 'evac-campus';
+const CAMPUS_FORMAT_VERSION = 1;
+const OUTDOOR_NODE_TYPES = ['outdoor', 'assembly'];
+
+// Outdoor nodes share one floor; floor changes on it are never counted (see buildRoutingGraph)
+const OUTDOOR_FLOOR = 'OUT';
+const OUTDOOR_FLOOR_INFO = { label: 'Outdoors', color: '#12261c', order: 0, outdoor: true };
+
+// "Main.Hall" → "Main"; null for an outdoor node
+function campusBuildingOf(id) {
+  const dot = String(id).indexOf('.');
+  return dot < 0 ? null : String(id).slice(0, dot);
+}
+
+// ─────────────────────────────────────────────────────────────
+// VALIDATION
+// ─────────────────────────────────────────────────────────────
+// Returns a list of human-readable problems; an empty list means the file is usable.
+// Problems inside a building are reported with the building's place in the list.
+function validateCampus(data) {
+  const errors = [];
+  const err = msg => errors.push(msg);
+  const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const isNum = v => typeof v === 'number' && Number.isFinite(v);
+  const isText = v => typeof v === 'string' && v.trim() !== '';
+  const isId = v => isText(v) && /^[A-Za-z0-9_-]+$/.test(v);
+
+  if (!isObj(data)) return ['File is not a JSON object'];
+  if (data.format !== CAMPUS_FORMAT) {
+    err(`"format" must be "${CAMPUS_FORMAT}" (found ${JSON.stringify(data.format)})`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    err('"version" must be a positive whole number');
+  } else if (data.version > CAMPUS_FORMAT_VERSION) {
+    err(`"version" ${data.version} is newer than this planner supports (${CAMPUS_FORMAT_VERSION})`);
+  }
+  if (errors.length) return errors;
+  if (data.name !== undefined && (!isText(data.name) || /[<>"]/.test(data.name))) err('"name" must be text without <, > or "');
+  if (data.map !== undefined && !(isObj(data.map) && isNum(data.map.width) && isNum(data.map.height) && data.map.width > 0 && data.map.height > 0)) {
+    err('"map" must have a positive width and height');
+  }
+  const checkSite = (site, where, keys) => {
+    if (!isObj(site) || keys.some(k => !isNum(site[k]))) err(`${where}: "site" must have numeric ${keys.join(', ')}`);
+    else if ((keys.includes('w') && site.w <= 0) || (keys.includes('h') && site.h <= 0)) err(`${where}: "site" width and height must be positive`);
+  };
+
+  // ── buildings ──
+  const nodeIds = new Set();        // merged ids
+  const exitIds = new Set();        // merged ids of building exits
+  const buildings = new Map();      // id → merged exit ids
+  if (!Array.isArray(data.buildings) || !data.buildings.length) {
+    err('"buildings" must be a non-empty list');
+  } else {
+    data.buildings.forEach((b, i) => {
+      const where = `buildings[${i}]${isText(b?.id) ? ` "${b.id}"` : ''}`;
+      if (!isObj(b)) return err(`${where}: must be an object`);
+      if (!isId(b.id)) return err(`${where}: "id" may only use letters, digits, "_" and "-"`);
+      if (buildings.has(b.id)) return err(`${where}: id is used by another building`);
+      checkSite(b.site, where, ['x', 'y', 'w', 'h']);
+      const problems = validateBuilding(b.building);
+      if (problems.length) return problems.forEach(p => err(`${where}: ${p}`));
+      b.building.nodes.forEach(n => nodeIds.add(`${b.id}.${n.id}`));
+      b.building.exits.forEach(id => exitIds.add(`${b.id}.${id}`));
+      buildings.set(b.id, b.building.exits.map(id => `${b.id}.${id}`));
+    });
+  }
+
+  // ── outdoor layer ──
+  const outdoor = data.outdoor;
+  const linked = new Set();
+  const edgeKeys = new Set();
+  if (!isObj(outdoor)) {
+    err('"outdoor" must be an object with "nodes" and "edges"');
+  } else {
+    if (!Array.isArray(outdoor.nodes) || !outdoor.nodes.length) {
+      err('"outdoor.nodes" must be a non-empty list');
+    } else {
+      outdoor.nodes.forEach((n, i) => {
+        const where = `outdoor.nodes[${i}]${isText(n?.id) ? ` "${n.id}"` : ''}`;
+        if (!isObj(n)) return err(`${where}: must be an object`);
+        if (!isId(n.id)) return err(`${where}: "id" may only use letters, digits, "_" and "-"`);
+        if (nodeIds.has(n.id)) err(`${where}: id is used by another node`);
+        nodeIds.add(n.id);
+        if (!isText(n.label)) err(`${where}: missing "label"`);
+        else if (/[<>"]/.test(n.label)) err(`${where}: "label" may not contain <, > or "`);
+        if (!OUTDOOR_NODE_TYPES.includes(n.type)) err(`${where}: type ${JSON.stringify(n.type)} must be one of ${OUTDOOR_NODE_TYPES.join(', ')}`);
+        if (n.capacity !== undefined && !(Number.isInteger(n.capacity) && n.capacity > 0)) err(`${where}: "capacity" must be a whole number of people`);
+        checkSite(n.site, where, ['x', 'y']);
+      });
+      if (!outdoor.nodes.some(n => n?.type === 'assembly')) err('"outdoor.nodes" must include at least one assembly point');
+    }
+    if (!Array.isArray(outdoor.edges) || !outdoor.edges.length) {
+      err('"outdoor.edges" must be a non-empty list');
+    } else {
+      outdoor.edges.forEach((e, i) => {
+        const where = `outdoor.edges[${i}]`;
+        if (!isObj(e)) return err(`${where}: must be an object`);
+        for (const end of ['from', 'to']) {
+          if (!nodeIds.has(e[end])) err(`${where}: "${end}" ${JSON.stringify(e[end])} is not a node (building nodes are "<building>.<node>")`);
+          else if (campusBuildingOf(e[end]) && !exitIds.has(e[end])) err(`${where}: "${e[end]}" is not one of its building's exits`);
+        }
+        if (e.from === e.to) err(`${where}: connects "${e.from}" to itself`);
+        const key = edgeKey(String(e.from), String(e.to));
+        if (edgeKeys.has(key)) err(`${where}: "${e.from}" ↔ "${e.to}" is listed twice`);
+        edgeKeys.add(key);
+        if (!(isNum(e.length) && e.length > 0)) err(`${where}: "length" must be a positive number of metres`);
+        if (e.capacity !== undefined && !(isNum(e.capacity) && e.capacity > 0)) err(`${where}: "capacity" must be a positive number (people per minute)`);
+        linked.add(e.from);
+        linked.add(e.to);
+      });
+    }
+  }
+  for (const [id, exits] of buildings) {
+    if (!exits.some(e => linked.has(e))) err(`buildings "${id}": none of its exits is linked to the outdoor layer`);
+  }
+
+  if (data.startNode !== undefined) {
+    if (!nodeIds.has(data.startNode)) err(`"startNode" ${JSON.stringify(data.startNode)} is not a node`);
+    else if (!campusBuildingOf(data.startNode)) err(`"startNode" "${data.startNode}" is outdoors — pick a room`);
+  }
+
+  // ── campus presets ── (node ids as merged; connections are checked once merged)
+  if (data.presets !== undefined) {
+    if (!Array.isArray(data.presets)) {
+      err('"presets" must be a list');
+    } else {
+      const names = new Set();
+      data.presets.forEach((p, i) => {
+        const where = `presets[${i}]${isText(p?.name) ? ` "${p.name}"` : ''}`;
+        if (!isObj(p)) return err(`${where}: must be an object`);
+        if (!isText(p.name)) err(`${where}: missing "name"`);
+        else if (/[<>"]/.test(p.name)) err(`${where}: "name" may not contain <, > or "`);
+        if (names.has(p.name)) err(`${where}: name is used by another preset`);
+        names.add(p.name);
+        if (p.description !== undefined && typeof p.description !== 'string') err(`${where}: "description" must be text`);
+        else if (/[<>"]/.test(p.description || '')) err(`${where}: "description" may not contain <, > or "`);
+        if (!Array.isArray(p.nodes)) err(`${where}: "nodes" must be a list`);
+        else p.nodes.forEach(id => { if (!nodeIds.has(id)) err(`${where}: ${JSON.stringify(id)} is not a node`); });
+        if (p.types !== undefined && !(isObj(p.types) && Object.values(p.types).every(type => Object.hasOwn(HAZARD_POLICY, type)))) {
+          err(`${where}: "types" must map node ids to hazard types`);
+        }
+        if (p.edges !== undefined && !(Array.isArray(p.edges) && p.edges.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(id => nodeIds.has(id))))) {
+          err(`${where}: "edges" must be a list of [from, to] node pairs`);
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// ─────────────────────────────────────────────────────────────
+// IMPORT
+// ─────────────────────────────────────────────────────────────
+// One merged building (the readBuilding shape) plus `campus`, see above.
+// A building's presets are kept, named "<building name>: <preset>".
+function readCampus(data) {
+  const merged = {
+    name: data.name || 'Imported campus',
+    floors: { [OUTDOOR_FLOOR]: { ...OUTDOOR_FLOOR_INFO } }, floorOrder: [], floorBoxes: {},
+    map: null, nodes: {}, geometry: {}, adjacency: {}, edges: [], lengths: {}, capacity: {},
+    exits: new Set(), startNode: data.startNode, presets: {}, sensors: {},
+    campus: { buildings: [], outdoor: { nodes: [], site: {}, edges: [] }, map: data.map ? { width: data.map.width, height: data.map.height } : null },
+  };
+
+  data.buildings.forEach(({ id: bid, site, building: file }) => {
+    const b = readBuilding(file);
+    const ns = id => `${bid}.${id}`;
+    b.floorOrder.forEach(f => {
+      merged.floors[ns(f)] = { ...b.floors[f], label: `${b.name} · ${b.floors[f].label}`, floorLabel: b.floors[f].label };
+      merged.floorOrder.push(ns(f));
+      if (b.floorBoxes[f]) merged.floorBoxes[ns(f)] = { ...b.floorBoxes[f] };
+    });
+    for (const [id, n] of Object.entries(b.nodes)) {
+      merged.nodes[ns(id)] = { ...n, floor: ns(n.floor) };
+      merged.adjacency[ns(id)] = b.adjacency[id].map(ns);
+      if (b.geometry[id]) merged.geometry[ns(id)] = { ...b.geometry[id] };
+    }
+    b.edges.forEach(([a, c, t]) => merged.edges.push(t ? [ns(a), ns(c), t] : [ns(a), ns(c)]));
+    const renameKey = key => edgeKey(...key.split('::').map(ns));
+    for (const [key, v] of Object.entries(b.lengths)) merged.lengths[renameKey(key)] = v;
+    for (const [key, v] of Object.entries(b.capacity)) merged.capacity[renameKey(key)] = v;
+    for (const [id, s] of Object.entries(b.sensors)) merged.sensors[ns(id)] = { node: ns(s.node), kind: s.kind };
+    for (const [name, p] of Object.entries(b.presets)) {
+      merged.presets[`${b.name}: ${name}`] = {
+        nodes: p.nodes.map(ns),
+        edges: p.edges.map(pair => pair.map(ns)),
+        description: p.description,
+        ...(p.types ? { types: Object.fromEntries(Object.entries(p.types).map(([id, type]) => [ns(id), type])) } : {}),
+      };
+    }
+    merged.campus.buildings.push({
+      id: bid, name: b.name, site: { ...site },
+      floors: b.floorOrder.map(ns), map: b.map, doors: [...b.exits].map(ns), startNode: ns(b.startNode),
+    });
+  });
+  merged.floorOrder.push(OUTDOOR_FLOOR);
+
+  data.outdoor.nodes.forEach(n => {
+    merged.nodes[n.id] = { label: n.label, floor: OUTDOOR_FLOOR, type: n.type };
+    if (n.capacity !== undefined) merged.nodes[n.id].capacity = n.capacity;
+    merged.adjacency[n.id] = [];
+    merged.campus.outdoor.nodes.push(n.id);
+    merged.campus.outdoor.site[n.id] = { x: n.site.x, y: n.site.y };
+    if (n.type === 'assembly') merged.exits.add(n.id);
+  });
+  data.outdoor.edges.forEach(e => {
+    merged.adjacency[e.from].push(e.to);
+    merged.adjacency[e.to].push(e.from);
+    merged.edges.push([e.from, e.to]);
+    merged.campus.outdoor.edges.push([e.from, e.to]);
+    merged.lengths[edgeKey(e.from, e.to)] = e.length;
+    if (e.capacity) merged.capacity[edgeKey(e.from, e.to)] = e.capacity;
+  });
+
+  (data.presets || []).forEach(p => {
+    merged.presets[p.name] = { nodes: [...p.nodes], edges: (p.edges || []).map(([a, b]) => [a, b]), description: p.description || '' };
+    if (p.types) merged.presets[p.name].types = { ...p.types };
+  });
+  if (!merged.startNode) merged.startNode = merged.campus.buildings[0].startNode;
+  return merged;
+}
+
+// ─────────────────────────────────────────────────────────────
+// EXPORT
+// ─────────────────────────────────────────────────────────────
+// The campus file for a merged building (readCampus), with its tables as they
+// stand now. Every preset is written at campus level.
+function exportCampus({ name, campus, floors, floorBoxes = {}, nodes, geometry = {}, adjacency, edges = edgesFromAdjacency(adjacency), lengths = {}, capacity = {}, startNode, presets = {}, sensors = {} }) {
+  const out = { format: CAMPUS_FORMAT, version: CAMPUS_FORMAT_VERSION, name, startNode };
+  if (campus.map) out.map = { ...campus.map };
+
+  out.buildings = campus.buildings.map(b => {
+    const prefix = `${b.id}.`;
+    const own = id => id.startsWith(prefix);
+    const bare = id => id.slice(prefix.length);
+    const pick = table => Object.fromEntries(Object.entries(table).filter(([id]) => own(id)).map(([id, v]) => [bare(id), v]));
+    const pickEdges = table => Object.fromEntries(Object.entries(table)
+      .filter(([key]) => key.split('::').every(own)).map(([key, v]) => [edgeKey(...key.split('::').map(bare)), v]));
+    const buildingNodes = Object.fromEntries(Object.entries(nodes).filter(([id]) => own(id)).map(([id, n]) => [bare(id), { ...n, floor: bare(n.floor) }]));
+    const buildingAdjacency = Object.fromEntries(Object.entries(adjacency).filter(([id]) => own(id)).map(([id, ns]) => [bare(id), ns.filter(own).map(bare)]));
+    const buildingSensors = Object.fromEntries(Object.entries(sensors).filter(([, s]) => own(s.node)).map(([id, s]) => [own(id) ? bare(id) : id, { node: bare(s.node), kind: s.kind }]));
+    return {
+      id: b.id,
+      site: { ...b.site },
+      building: exportBuilding({
+        name: b.name,
+        floors: Object.fromEntries(b.floors.map(f => [bare(f), { ...floors[f], label: floors[f].floorLabel || floors[f].label }])),
+        floorOrder: b.floors.map(bare),
+        floorBoxes: pick(floorBoxes),
+        map: b.map,
+        nodes: buildingNodes,
+        geometry: pick(geometry),
+        adjacency: buildingAdjacency,
+        edges: edges.filter(([a, c]) => own(a) && own(c)).map(([a, c, t]) => (t ? [bare(a), bare(c), t] : [bare(a), bare(c)])),
+        lengths: pickEdges(lengths),
+        capacity: pickEdges(capacity),
+        exits: b.doors.map(bare),
+        startNode: bare(b.startNode),
+        sensors: buildingSensors,
+      }),
+    };
+  });
+
+  out.outdoor = {
+    nodes: campus.outdoor.nodes.map(id => {
+      const node = { id, label: nodes[id].label, type: nodes[id].type, site: { ...campus.outdoor.site[id] } };
+      if (nodes[id].capacity) node.capacity = nodes[id].capacity;
+      return node;
+    }),
+    edges: campus.outdoor.edges.map(([a, b]) => {
+      const edge = { from: a, to: b, length: lengths[edgeKey(a, b)] };
+      if (capacity[edgeKey(a, b)]) edge.capacity = capacity[edgeKey(a, b)];
+      return edge;
+    }),
+  };
+  out.presets = Object.entries(presets).map(([presetName, p]) => {
+    const preset = { name: presetName, description: p.description || '', nodes: [...p.nodes], edges: (p.edges || []).map(([a, b]) => [a, b]) };
+    const types = Object.entries(p.types || {}).filter(([id]) => p.nodes.includes(id));
+    if (types.length) preset.types = Object.fromEntries(types);
+    return preset;
+  });
+  return out;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    CAMPUS_FORMAT, CAMPUS_FORMAT_VERSION, OUTDOOR_NODE_TYPES, OUTDOOR_FLOOR, OUTDOOR_FLOOR_INFO,
+    campusBuildingOf, validateCampus, readCampus, exportCampus,
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * EVACUATION DRILLS
+ * A trainee gets a scenario (a preset, or a random one from a seed) with the
+ * computed route hidden, clicks an escape route node by node, and is scored
+ * against the route the planner gives (evaluateScenario). Results are kept
+ * in localStorage as the drill history, newest last:
+ *
+ *   { trainee, scenario, start, profile, path, seconds, valid, problems,
+ *     score, parts: { length, hazards, time }, optimal: { path, distance, time }, at }
+ *
+ * Requires evacEngine.js (and so pathfinder.js), spreadSim.js (createRng) and
+ * scenarioTimeline.js (toCsv) to be loaded first.
+ */
+
+const DRILL_HISTORY_KEY = 'evac.drillHistory';
+
+const DRILL_DEFAULTS = {
+  hazards: 3,              // hazards in a random scenario
+  smokeShare: 0.4,         // chance each of them is smoke rather than fire
+  attempts: 50,            // random scenarios tried before giving up on finding one with an exit
+  starts: ['room', 'control'],   // node types a random drill starts from
+  minSteps: 3,             // a random drill's best route is at least this many steps
+  parSeconds: 10,          // answering within par + perStep × steps keeps the full time score
+  perStep: 3,
+  history: 500,            // results kept; the oldest go first
+};
+
+// Share of the total score; a route that is not valid scores 0 whatever its parts
+const DRILL_WEIGHTS = { length: 0.4, hazards: 0.35, time: 0.25 };
+
+// A random scenario with a way out for `profile` that takes at least
+// DRILL_DEFAULTS.minSteps steps. Returns
+// { name, start, preset } (preset as in loadPreset) or null when none was found.
+//   seed  same seed, same building → same drill
+function randomDrillScenario(graph, seed, profile = ENGINE_DEFAULTS.profile, { hazards = DRILL_DEFAULTS.hazards } = {}) {
+  const rng = createRng(seed);
+  const pick = list => list[Math.floor(rng() * list.length)];
+  const ids = Object.keys(graph.nodes).filter(id => !graph.exits.has(id));
+  const starts = ids.filter(id => DRILL_DEFAULTS.starts.includes(graph.nodes[id].type));
+  if (!starts.length) return null;
+
+  for (let attempt = 0; attempt < DRILL_DEFAULTS.attempts; attempt++) {
+    const start = pick(starts);
+    const scenario = createScenario();
+    const pool = ids.filter(id => id !== start);
+    for (let i = 0; i < hazards && pool.length; i++) {
+      const id = pool.splice(Math.floor(rng() * pool.length), 1)[0];
+      setHazard(scenario, id, rng() < DRILL_DEFAULTS.smokeShare ? 'smoke' : 'fire');
+    }
+    const { status, route } = evaluateScenario(graph, scenario, start, { k: 1 }, profile);
+    if ((status === 'safe' || status === 'degraded') && route.path.length > DRILL_DEFAULTS.minSteps) {
+      return { name: `Random #${seed}`, start, preset: presetFromScenario(scenario, `Random drill, seed ${seed}`) };
+    }
+  }
+  return null;
+}
+
+// Why a clicked route could not be followed, as plain-text sentences.
+// An empty list means the route is valid.
+//   graph  the routing graph for the trainee's profile (see profileGraph)
+function checkDrillPath(graph, scenario, start, path) {
+  const { hazardNodes, hazardEdges, hazardTypes } = scenario;
+  const label = id => graph.nodes[id]?.label || id;
+  const problems = [];
+  if (!path.length || path[0] !== start) return [`The route must begin at ${label(start)}`];
+  path.forEach((id, i) => {
+    const prev = path[i - 1];
+    if (prev !== undefined && !(graph.adjacency[prev] || []).includes(id)) problems.push(`${label(prev)} does not lead to ${label(id)}`);
+    else if (prev !== undefined && hazardEdges.has(edgeKey(prev, id))) problems.push(`${label(prev)} → ${label(id)} is blocked`);
+    else if (prev !== undefined && isEntering(graph, prev, id)) problems.push(`${label(prev)} → ${label(id)} goes back into a building`);
+    if (i > 0 && hazardNodes.has(id) && !hazardPolicy(hazardTypes[id], graph.hazardPolicy).passable) problems.push(`${label(id)} is impassable (${hazardTypes[id]})`);
+    if (i > 0 && isAvoided(graph, id)) problems.push(`${label(id)} is not used on this route profile`);
+  });
+  if (!graph.exits.has(path[path.length - 1])) problems.push('The route does not end at an exit');
+  return problems;
+}
+
+// Scores a clicked route against the planner's. Parts are 0–100:
+//   length   optimal distance / route distance
+//   hazards  50 off for every hazard crossed beyond those the optimal route crosses
+//   time     full marks within par, down to 0 at four times par
+// Returns { valid, problems, score, parts, route, optimal } — optimal is null
+// when the scenario has no route to an exit, and then nothing can score.
+function scoreDrill(graph, scenario, start, path, seconds, profile = ENGINE_DEFAULTS.profile) {
+  const g = profileGraph(graph, profile, scenario.hazardTypes);
+  const { status, route: optimal } = evaluateScenario(graph, scenario, start, { k: 1 }, profile);
+  const problems = checkDrillPath(g, scenario, start, path);
+  const route = path.length ? routeMetrics(g, path, scenario.hazardNodes, scenario.hazardTypes) : null;
+  if (status === 'refuge' || status === 'failed' || problems.length) {
+    return { valid: false, problems, score: 0, parts: { length: 0, hazards: 0, time: 0 }, route, optimal: status === 'failed' || status === 'refuge' ? null : optimal };
+  }
+
+  const par = DRILL_DEFAULTS.parSeconds + DRILL_DEFAULTS.perStep * optimal.path.length;
+  const parts = {
+    length: route.distance > 0 ? Math.min(100, Math.round(100 * optimal.distance / route.distance)) : 100,
+    hazards: Math.max(0, 100 - 50 * Math.max(0, route.hazards.length - optimal.hazards.length)),
+    time: seconds <= par ? 100 : Math.max(0, Math.round(100 * (1 - (seconds - par) / (3 * par)))),
+  };
+  const score = Math.round(Object.entries(DRILL_WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0));
+  return { valid: true, problems, score, parts, route, optimal };
+}
+
+// ─────────────────────────────────────────────────────────────
+// HISTORY
+// ─────────────────────────────────────────────────────────────
+// Storage failures never break a drill: reads fall back to no history and writes report false
+function readDrillHistory(storage) {
+  try {
+    const history = JSON.parse((storage || globalThis.localStorage).getItem(DRILL_HISTORY_KEY) || '[]');
+    return Array.isArray(history) ? history.filter(r => r && typeof r === 'object' && typeof r.trainee === 'string') : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeDrillHistory(history, storage) {
+  try {
+    (storage || globalThis.localStorage).setItem(DRILL_HISTORY_KEY, JSON.stringify(history.slice(-DRILL_DEFAULTS.history)));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function saveDrillResult(result, storage) {
+  return writeDrillHistory([...readDrillHistory(storage), result], storage);
+}
+
+// One row per trainee, by name:
+//   { trainee, drills, valid, best, mean, meanSeconds, last }   last = ISO time
+function traineeStats(history) {
+  const byName = {};
+  for (const r of history) (byName[r.trainee] = byName[r.trainee] || []).push(r);
+  return Object.entries(byName).sort(([a], [b]) => a.localeCompare(b)).map(([trainee, rs]) => ({
+    trainee,
+    drills: rs.length,
+    valid: rs.filter(r => r.valid).length,
+    best: Math.max(...rs.map(r => r.score)),
+    mean: Math.round(rs.reduce((sum, r) => sum + r.score, 0) / rs.length),
+    meanSeconds: Math.round(rs.reduce((sum, r) => sum + r.seconds, 0) / rs.length),
+    last: rs[rs.length - 1].at,
+  }));
+}
+
+function drillHistoryCsv(history) {
+  return toCsv([
+    ['time', 'trainee', 'scenario', 'start', 'profile', 'valid', 'score', 'length', 'hazards', 'time_score', 'seconds', 'route', 'optimal_route', 'problems'],
+    ...history.map(r => [
+      r.at, r.trainee, r.scenario, r.start, r.profile, r.valid ? 'yes' : 'no', r.score,
+      r.parts.length, r.parts.hazards, r.parts.time, r.seconds,
+      r.path.join(' > '), r.optimal ? r.optimal.path.join(' > ') : '', r.problems.join('; '),
+    ]),
+  ]);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    DRILL_HISTORY_KEY, DRILL_DEFAULTS, DRILL_WEIGHTS,
+    randomDrillScenario, checkDrillPath, scoreDrill,
+    readDrillHistory, writeDrillHistory, saveDrillResult, traineeStats, drillHistoryCsv,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * EVACUATION ENGINE
+ * DOM-free scenario handling shared by app.js, index.html and the Node CLI
+ * (evacuate.js). A scenario is any object holding { hazardNodes, hazardEdges,
+ * hazardTypes } — the pages pass their own `state`. Nothing here logs or
+ * renders; callers decide what to show.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+const ENGINE_DEFAULTS = {
+  alternatives: { k: 3, distinctExits: false, disjointStairs: false },   // see kShortestRoutes
+  hazardType: 'fire',   // type given to hazard-list entries and preset nodes without a type
+  profile: 'standard',  // see ROUTE_PROFILES
+};
+
+function createScenario() {
+  return { hazardNodes: new Set(), hazardEdges: new Set(), hazardTypes: {} };
+}
+
+// ─────────────────────────────────────────────────────────────
+// HAZARDS
+// ─────────────────────────────────────────────────────────────
+function setHazard(scenario, id, type) {
+  scenario.hazardNodes.add(id);
+  scenario.hazardTypes[id] = type;
+}
+
+// Returns the type the node had, if any
+function clearHazard(scenario, id) {
+  const type = scenario.hazardTypes[id];
+  scenario.hazardNodes.delete(id);
+  delete scenario.hazardTypes[id];
+  return type;
+}
+
+// Blocks or reopens one connection; returns its edge key
+function setEdgeHazard(scenario, a, b, blocked) {
+  const key = edgeKey(a, b);
+  if (blocked) scenario.hazardEdges.add(key);
+  else scenario.hazardEdges.delete(key);
+  return key;
+}
+
+function clearHazards(scenario) {
+  scenario.hazardNodes.clear();
+  scenario.hazardEdges.clear();
+  scenario.hazardTypes = {};
+}
+
+// Replaces the scenario with a preset: its nodes hazardous, its connections blocked.
+//   preset  { nodes: [id], types?: { id → hazard type }, edges?: [[a, b]] }
+function loadPreset(scenario, preset) {
+  clearHazards(scenario);
+  preset.nodes.forEach(id => setHazard(scenario, id, preset.types?.[id] || ENGINE_DEFAULTS.hazardType));
+  (preset.edges || []).forEach(([a, b]) => setEdgeHazard(scenario, a, b, true));
+}
+
+// The scenario as a preset loadPreset gives back unchanged
+function presetFromScenario(scenario, description = '') {
+  const nodes = [...scenario.hazardNodes];
+  return {
+    description,
+    nodes,
+    types: Object.fromEntries(nodes.map(id => [id, scenario.hazardTypes[id] || ENGINE_DEFAULTS.hazardType])),
+    edges: [...scenario.hazardEdges].map(key => key.split('::')),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// HAZARD LISTS
+// ─────────────────────────────────────────────────────────────
+// Text form for scripts and the CLI, one entry per hazard:
+//   "Kitchen2"          node on fire
+//   "Kitchen2:smoke"    node with any HAZARD_POLICY type
+//   "Hall::StairG"      blocked connection
+// Returns { hazards: [{ node, type } | { edge: [a, b] }], errors: [messages] }
+function parseHazardList(specs, { nodes, adjacency }) {
+  const hazards = [];
+  const errors = [];
+  for (const raw of specs) {
+    const spec = String(raw).trim();
+    if (spec.includes('::')) {
+      const [a, b, ...rest] = spec.split('::');
+      if (rest.length || !a || !b) errors.push(`"${spec}": a connection is written A::B`);
+      else if (!Object.hasOwn(nodes, a) || !Object.hasOwn(nodes, b)) errors.push(`"${spec}": unknown node "${Object.hasOwn(nodes, a) ? b : a}"`);
+      else if (!(adjacency[a] || []).includes(b) && !(adjacency[b] || []).includes(a)) errors.push(`"${spec}": ${a} and ${b} are not connected`);
+      else hazards.push({ edge: [a, b] });
+      continue;
+    }
+    const [node, type = ENGINE_DEFAULTS.hazardType, ...rest] = spec.split(':');
+    if (rest.length || !node) errors.push(`"${spec}": a hazard is written Node or Node:type`);
+    else if (!Object.hasOwn(nodes, node)) errors.push(`"${spec}": unknown node "${node}"`);
+    else if (!Object.hasOwn(HAZARD_POLICY, type)) errors.push(`"${spec}": unknown hazard type "${type}" (use ${Object.keys(HAZARD_POLICY).join(', ')})`);
+    else hazards.push({ node, type });
+  }
+  return { hazards, errors };
+}
+
+function applyHazardList(scenario, hazards) {
+  for (const h of hazards) {
+    if (h.edge) setEdgeHazard(scenario, h.edge[0], h.edge[1], true);
+    else setHazard(scenario, h.node, h.type);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// EVALUATION
+// ─────────────────────────────────────────────────────────────
+// Routes for one of ROUTE_PROFILES. Returns {
+//   status        'safe' | 'degraded' (only through passable hazards)
+//                 | 'refuge' (no exit for this profile, route ends at a refuge) | 'failed'
+//   route         best route (see routeMetrics), or null when evacuation failed
+//   alternatives  up to altOptions.k − 1 further routes, cheapest first
+// }
+function evaluateScenario(graph, scenario, start, altOptions = ENGINE_DEFAULTS.alternatives, profile = ENGINE_DEFAULTS.profile) {
+  const { hazardNodes, hazardEdges, hazardTypes } = scenario;
+  const g = profileGraph(graph, profile, hazardTypes);
+  const route = planRoute(g, start, hazardNodes, hazardEdges, hazardTypes);
+  if (!route) {
+    const refuge = planRefugeRoute(g, start, hazardNodes, hazardEdges, hazardTypes);
+    return { status: refuge ? 'refuge' : 'failed', route: refuge, alternatives: [] };
+  }
+
+  const best = route.path.join('>');
+  const alternatives = kShortestRoutes(g, start, hazardNodes, hazardEdges, hazardTypes, altOptions)
+    .filter(r => r.path.join('>') !== best)
+    .slice(0, Math.max(0, altOptions.k - 1));
+  return { status: route.degraded ? 'degraded' : 'safe', route, alternatives };
+}
+
+// Why a profile's evaluation differs from the standard one, as short
+// plain-text sentences for the route panel and the CLI.
+//   nodes  id → { label, type }
+function profileRouteNotes(graph, scenario, start, profile, evaluation) {
+  const { nodes } = graph;
+  const notes = [];
+  const label = id => nodes[id]?.label || id;
+  const ofType = (path, type) => (path || []).filter(id => nodes[id]?.type === type);
+  const list = ids => [...new Set(ids.map(label))].join(', ');
+  const p = routeProfile(profile);
+  const path = evaluation.route?.path;
+  const lifts = Object.keys(nodes).some(id => nodes[id].type === 'elevator');
+
+  if (evaluation.status === 'refuge') {
+    notes.push(`No exit is reachable for this profile — wait at ${label(path[path.length - 1])} for assistance`);
+  }
+  const rides = ofType(path, 'elevator');
+  if (rides.length) notes.push(`Takes the lift from ${label(rides[0])} to ${label(rides[rides.length - 1])}`);
+  if (lifts && p.avoidInFire.includes('elevator') && isFireMode(scenario.hazardTypes)) notes.push('Lifts are out of use while there is a fire');
+  if (lifts && profile === 'standard') notes.push('Lifts are not used in an evacuation');
+  if (profile === 'standard' || !evaluation.route) return notes;
+
+  const standard = evaluateScenario(graph, scenario, start, { k: 1 }, 'standard').route;
+  if (!standard) {
+    notes.push('Standard route: none');
+  } else if (standard.path.join('>') === path.join('>')) {
+    notes.push('Same route as standard');
+  } else {
+    if (p.avoid.includes('stair') && ofType(standard.path, 'stair').length) notes.push(`Avoids the stairs the standard route takes (${list(ofType(standard.path, 'stair'))})`);
+    const diff = Math.round(evaluation.route.time - standard.time);
+    if (evaluation.status !== 'refuge' && diff) notes.push(`${Math.abs(diff)} s ${diff > 0 ? 'slower' : 'faster'} than the standard route`);
+  }
+  return notes;
+}
+
+// Plain JSON view of an evaluation for scripts and other systems.
+//   nodes  id → { label, floor } for readable step names
+function evaluationReport(nodes, scenario, start, { status, route, alternatives }) {
+  const round = x => Math.round(x * 10) / 10;
+  const describe = r => ({
+    exit: r.path[r.path.length - 1],
+    path: r.path,
+    steps: r.path.map(id => ({ id, label: nodes[id]?.label || id, floor: nodes[id]?.floor })),
+    distance: round(r.distance),
+    time: round(r.time),
+    floors: r.floors,
+    degraded: r.degraded,
+    hazards: r.hazards,
+  });
+  return {
+    start,
+    hazards: {
+      nodes: Object.fromEntries([...scenario.hazardNodes].map(id => [id, scenario.hazardTypes[id] || ENGINE_DEFAULTS.hazardType])),
+      edges: [...scenario.hazardEdges],
+    },
+    status,
+    failed: status === 'failed',
+    refuge: status === 'refuge',
+    route: route ? describe(route) : null,
+    alternatives: alternatives.map(describe),
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    ENGINE_DEFAULTS, createScenario, setHazard, clearHazard, setEdgeHazard, clearHazards, loadPreset, presetFromScenario,
+    parseHazardList, applyHazardList, evaluateScenario, profileRouteNotes, evaluationReport,
+  };
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * EVACUATION CLI
+ * Plans an evacuation for a building file (buildingFormat.js) under a list of
+ * hazards and prints the route, the alternatives and the failure status as JSON.
+ * A campus file (campus.js) is planned to its assembly points; its building
+ * nodes are named "<building>.<node>".
+ *
+ *   node evacuate.js building.json Kitchen2 Hall:smoke StairG::Hall --start R201
+ *   node evacuate.js sampleCampus.json Quad Main.Hall:smoke --start Annex.Studio
+ *
+ * Exit status: 0 a route exists, 3 only a refuge can be reached,
+ * 2 evacuation failed, 1 bad arguments or file.
+ */
+
+const fs = require('fs');
+
+// In the browser these scripts share globals; give them the same view here
+Object.assign(globalThis, require('./pathfinder.js'), require('./buildingFormat.js'));
+const { CAMPUS_FORMAT, validateCampus, readCampus } = require('./campus.js');
+const {
+  ENGINE_DEFAULTS, createScenario, loadPreset, parseHazardList, applyHazardList, evaluateScenario, profileRouteNotes, evaluationReport,
+} = require('./evacEngine.js');
+
+const USAGE = `Usage: node evacuate.js <building.json | campus.json> [hazard ...] [options]
+
+  hazard               Node           node on fire
+                       Node:type      ${Object.keys(HAZARD_POLICY).join(' | ')}
+                       A::B           blocked connection
+  --start <id>         evacuate from this node (default: the file's startNode)
+  --preset <name>      start from one of the file's hazard presets
+  --profile <name>     ${Object.keys(ROUTE_PROFILES).join(' | ')} (default ${ENGINE_DEFAULTS.profile})
+  --k <n>              routes to rank, best included (default ${ENGINE_DEFAULTS.alternatives.k})
+  --distinct-exits     every route ends at a different exit
+  --disjoint-stairs    no two routes share a stairwell
+  --compact            print the JSON on one line
+
+Exit status: 0 a route exists, 3 only a refuge can be reached,
+             2 evacuation failed, 1 bad arguments or file.`;
+
+function parseArgs(argv) {
+  const args = { file: null, hazards: [], start: null, preset: null, profile: ENGINE_DEFAULTS.profile, alternatives: { ...ENGINE_DEFAULTS.alternatives }, compact: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--start') args.start = value();
+    else if (arg === '--preset') args.preset = value();
+    else if (arg === '--profile') {
+      args.profile = value();
+      if (!Object.hasOwn(ROUTE_PROFILES, args.profile)) throw new Error(`--profile must be one of ${Object.keys(ROUTE_PROFILES).join(', ')}`);
+    }
+    else if (arg === '--k') {
+      args.alternatives.k = Number(value());
+      if (!Number.isInteger(args.alternatives.k) || args.alternatives.k < 1) throw new Error('--k must be a whole number of at least 1');
+    }
+    else if (arg === '--distinct-exits') args.alternatives.distinctExits = true;
+    else if (arg === '--disjoint-stairs') args.alternatives.disjointStairs = true;
+    else if (arg === '--compact') args.compact = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else if (!args.file) args.file = arg;
+    else args.hazards.push(arg);
+  }
+  return args;
+}
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  if (args.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (!args.file) fail(USAGE);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  } catch (err) {
+    fail(`${args.file}: ${err.code === 'ENOENT' ? 'no such file' : `not valid JSON — ${err.message}`}`);
+  }
+  const isCampus = data?.format === CAMPUS_FORMAT;
+  const problems = isCampus ? validateCampus(data) : validateBuilding(data);
+  if (problems.length) fail(`${args.file}: ${problems.length} problem${problems.length !== 1 ? 's' : ''}\n  ${problems.join('\n  ')}`);
+  const building = isCampus ? readCampus(data) : readBuilding(data);
+
+  const start = args.start || building.startNode;
+  if (!Object.hasOwn(building.nodes, start)) fail(`Unknown start node "${start}"`);
+
+  const scenario = createScenario();
+  if (args.preset) {
+    if (!Object.hasOwn(building.presets, args.preset)) fail(`Unknown preset "${args.preset}" (the file has: ${Object.keys(building.presets).join(', ') || 'none'})`);
+    loadPreset(scenario, building.presets[args.preset]);
+  }
+  const { hazards, errors } = parseHazardList(args.hazards, building);
+  if (errors.length) fail(errors.join('\n'));
+  applyHazardList(scenario, hazards);
+
+  const graph = buildRoutingGraph(building);
+  const evaluation = evaluateScenario(graph, scenario, start, args.alternatives, args.profile);
+  const report = {
+    building: building.name,
+    profile: args.profile,
+    ...evaluationReport(building.nodes, scenario, start, evaluation),
+    notes: profileRouteNotes(graph, scenario, start, args.profile, evaluation),
+  };
+  process.stdout.write(`${JSON.stringify(report, null, args.compact ? 0 : 2)}\n`);
+  process.exitCode = { failed: 2, refuge: 3 }[evaluation.status] || 0;
+}
+
+main();
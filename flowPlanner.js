@@ -0,0 +1,107 @@
+/**
+ * OCCUPANCY & FLOW PLANNER
+ * Estimates how long it takes to clear the building, not just whether a path exists.
+ * Rooms carry occupant counts; exits, stairwells and doors carry a throughput
+ * capacity (people per minute). Rooms are assigned greedily to the exit that
+ * finishes them soonest given the queues already building up at each bottleneck.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+// Resources (capacity-limited nodes and edges) a route passes through, excluding its start room
+function routeResources(path, nodes, edgeCapacity) {
+  const resources = [];
+  for (let i = 1; i < path.length; i++) {
+    const id = path[i];
+    if (nodes[id]?.capacity) resources.push({ key: id, kind: 'node', capacity: nodes[id].capacity });
+    const key = edgeKey(path[i - 1], id);
+    if (edgeCapacity[key]) resources.push({ key, kind: 'edge', capacity: edgeCapacity[key] });
+  }
+  return resources;
+}
+
+// Seconds for the last of `load` people to pass the slowest resource on the route
+function queueDelay(resources, loads, extra = 0) {
+  let worst = 0;
+  for (const r of resources) {
+    worst = Math.max(worst, ((loads[r.key] || 0) + extra) / r.capacity * 60);
+  }
+  return worst;
+}
+
+// ─────────────────────────────────────────────────────────────
+// FLOW PLAN
+// ─────────────────────────────────────────────────────────────
+//   graph     routing graph from buildRoutingGraph
+//   nodes     id → { label, occupants?, capacity? }
+//   edgeCapacity 'A::B' → people per minute
+//   hazards   { nodes: Set, edges: Set, types: {} }
+function planEvacuationFlow(graph, nodes, edgeCapacity, hazards) {
+  const rooms = Object.keys(nodes)
+    .filter(id => (nodes[id].occupants || 0) > 0 && !graph.exits.has(id))
+    .sort((a, b) => nodes[b].occupants - nodes[a].occupants || a.localeCompare(b));
+
+  const loads = {};
+  const assignments = [];
+  const trapped = [];
+
+  for (const room of rooms) {
+    const occupants = nodes[room].occupants;
+
+    // One candidate route per exit, so rooms can spill over to a less congested door
+    let best = null;
+    for (const exit of graph.exits) {
+      const route = planRoute({ ...graph, exits: new Set([exit]) }, room, hazards.nodes, hazards.edges, hazards.types);
+      if (!route) continue;
+      const resources = routeResources(route.path, nodes, edgeCapacity);
+      const finish = route.time + queueDelay(resources, loads, occupants);
+      // Clean routes always win over degraded ones
+      if (!best || (best.route.degraded && !route.degraded) ||
+          (best.route.degraded === route.degraded && finish < best.finish)) {
+        best = { route, resources, finish };
+      }
+    }
+
+    if (!best) {
+      trapped.push({ room, occupants });
+      continue;
+    }
+    best.resources.forEach(r => { loads[r.key] = (loads[r.key] || 0) + occupants; });
+    assignments.push({ room, occupants, exit: best.route.path[best.route.path.length - 1], route: best.route, resources: best.resources });
+  }
+
+  // Final finish times use the final loads — early rooms queue behind later ones too
+  assignments.forEach(a => {
+    a.walkTime = a.route.time;
+    a.queueTime = queueDelay(a.resources, loads);
+    a.finishTime = a.walkTime + a.queueTime;
+  });
+
+  const exits = {};
+  for (const a of assignments) {
+    const e = exits[a.exit] || (exits[a.exit] = { people: 0, rooms: [], clearance: 0 });
+    e.people += a.occupants;
+    e.rooms.push(a.room);
+    e.clearance = Math.max(e.clearance, a.finishTime);
+  }
+
+  const capacityOf = {};
+  assignments.forEach(a => a.resources.forEach(r => { capacityOf[r.key] = r; }));
+  const queues = Object.entries(loads)
+    .map(([key, load]) => ({ key, kind: capacityOf[key].kind, load, capacity: capacityOf[key].capacity, drainTime: load / capacityOf[key].capacity * 60 }))
+    .sort((a, b) => b.drainTime - a.drainTime);
+
+  const evacuated = assignments.reduce((n, a) => n + a.occupants, 0);
+  return {
+    assignments,
+    exits,
+    queues,
+    trapped,
+    totalPeople: evacuated + trapped.reduce((n, t) => n + t.occupants, 0),
+    evacuated,
+    clearanceTime: assignments.reduce((t, a) => Math.max(t, a.finishTime), 0),
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { routeResources, queueDelay, planEvacuationFlow };
+}
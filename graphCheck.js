@@ -0,0 +1,107 @@
+/**
+ * BUILDING GRAPH CONSISTENCY CHECK
+ * ADJACENCY, the map's edge list and its node geometry are kept by hand in
+ * separate tables; this cross-checks them and reports where they disagree.
+ * Every issue is { level: 'error' | 'warning', kind, message, nodes: [ids] }.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+const CHECK_KINDS = {
+  oneWay:       'One-way connection',
+  unknownNode:  'Unknown node',
+  notRouted:    'Drawn but not routed',
+  notDrawn:     'Routed but not drawn',
+  noGeometry:   'No map position',
+  noFloor:      'Unknown floor',
+  noExit:       'Cannot reach an exit',
+  loneStair:    'Stair or lift connects to nothing',
+  stairNoFloor: 'Stair or lift reaches no other floor',
+};
+
+//   floors     id → { label }
+//   nodes      id → { label, floor, type }
+//   adjacency  id → [neighbour ids], expected to list every link both ways
+//   exits      Set of exit ids
+//   geometry   id → { x, y } map positions — omit when the view has no map
+//   edges      [[a, b, 'cross'?]] drawn on the map — omit when the view has no map
+function checkBuildingGraph({ floors, nodes, adjacency, exits, geometry, edges }) {
+  const issues = [];
+  const name = id => nodes[id]?.label || id;
+  const add = (level, kind, ids, message) => issues.push({ level, kind, message, nodes: ids });
+
+  // Adjacency must be symmetric and only name real nodes
+  const routed = new Set();
+  for (const [a, neighbors] of Object.entries(adjacency)) {
+    if (!nodes[a]) {
+      add('error', 'unknownNode', [a], `ADJACENCY has an entry for "${a}", which is not in NODES`);
+      continue;
+    }
+    for (const b of neighbors) {
+      if (!nodes[b]) {
+        add('error', 'unknownNode', [a], `${name(a)} lists "${b}", which is not in NODES`);
+        continue;
+      }
+      routed.add(edgeKey(a, b));
+      if (!(adjacency[b] || []).includes(a)) {
+        add('warning', 'oneWay', [a, b], `${name(a)} → ${name(b)} is listed, but ${name(b)} does not list ${name(a)} back`);
+      }
+    }
+  }
+
+  // Map edges and routing edges should be the same set
+  if (edges) {
+    const drawn = new Set();
+    for (const [a, b] of edges) {
+      const key = edgeKey(a, b);
+      drawn.add(key);
+      if (!routed.has(key)) add('error', 'notRouted', [a, b], `${name(a)} ↔ ${name(b)} is drawn on the map but routing does not use it`);
+    }
+    for (const key of routed) {
+      const [a, b] = key.split('::');
+      if (!drawn.has(key)) add('warning', 'notDrawn', [a, b], `${name(a)} ↔ ${name(b)} is used by routing but not drawn on the map`);
+    }
+  }
+
+  for (const [id, node] of Object.entries(nodes)) {
+    if (geometry && !geometry[id]) add('error', 'noGeometry', [id], `${name(id)} has no position on the map`);
+    if (!floors[node.floor]) add('error', 'noFloor', [id], `${name(id)} is on floor "${node.floor}", which is not in FLOORS`);
+  }
+
+  // With no hazards at all, every node should still reach an exit. Search
+  // backwards from the exits along the links routing would follow.
+  const incoming = {};
+  for (const [a, neighbors] of Object.entries(adjacency)) {
+    for (const b of neighbors) (incoming[b] = incoming[b] || []).push(a);
+  }
+  const reaches = new Set([...exits].filter(id => nodes[id]));
+  const queue = [...reaches];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const prev of incoming[id] || []) {
+      if (!reaches.has(prev) && nodes[prev]) {
+        reaches.add(prev);
+        queue.push(prev);
+      }
+    }
+  }
+  const stranded = Object.keys(nodes).filter(id => !reaches.has(id));
+  if (!reaches.size) {
+    add('error', 'noExit', stranded, 'The building has no exits');
+  } else {
+    stranded.forEach(id => add('error', 'noExit', [id], `${name(id)} cannot reach any exit, even with no hazards`));
+  }
+
+  // Stairs and lifts should link to something, and at least one link should change floor
+  for (const [id, node] of Object.entries(nodes)) {
+    if (node.type !== 'stair' && node.type !== 'elevator') continue;
+    const linked = [...new Set([...(adjacency[id] || []), ...(incoming[id] || [])])].filter(n => nodes[n]);
+    if (!linked.length) add('warning', 'loneStair', [id], `${name(id)} is not connected to anything`);
+    else if (!linked.some(n => nodes[n].floor !== node.floor)) add('warning', 'stairNoFloor', [id], `${name(id)} does not lead to any other floor`);
+  }
+
+  return issues.sort((x, y) => (x.level === y.level ? 0 : x.level === 'error' ? -1 : 1));
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { CHECK_KINDS, checkBuildingGraph };
+}
@@ -0,0 +1,131 @@
+/**
+ * ROUTE INSTRUCTIONS
+ * Turns a route into directions an occupant can follow or hear read aloud:
+ *
+ *   Leave Room 201, turn into Lobby 2, take Stairwell 2 down two floors to
+ *   the Ground Floor, turn into Main Hall, exit via Exit A.
+ *
+ * Consecutive stair (or lift) hops become one "down N floors" step, using
+ * FLOORS order. Steps say which hazards the route passes through and which
+ * hazards next to it are being bypassed. On a campus (campus.js) routes go on
+ * through a building's door to an assembly point:
+ *
+ *   …turn into Main Hall, leave the building via Exit A, head for The Quad,
+ *   gather at Assembly Point North.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+const INSTRUCTION_NUMBERS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// How each hazard type is named in a step, given the node's label
+const INSTRUCTION_HAZARDS = {
+  fire:         label => `the fire in ${label}`,
+  smoke:        label => `the smoke in ${label}`,
+  closed:       label => `${label} (closed)`,
+  exit_blocked: label => `${label} (blocked)`,
+};
+
+const countWord = n => INSTRUCTION_NUMBERS[n] || String(n);
+
+// "the Ground Floor", but "Floor 2" (a campus floor by its own label, not the building's)
+function floorPhrase(floors, id) {
+  const label = floors[id]?.floorLabel || floors[id]?.label || id;
+  return /^(floor|level)\b/i.test(label) ? label : `the ${label}`;
+}
+
+// One step per thing to do. Returns [{ text, nodes, notes }]:
+//   text   what to do ("Turn into Lobby 2")
+//   nodes  the route nodes the step covers
+//   notes  hazards passed through or bypassed on the way
+//   building  { nodes, floors, adjacency, exits }
+//   scenario  { hazardNodes, hazardEdges, hazardTypes } (see createScenario)
+function routeInstructions(building, route, scenario) {
+  const { nodes, floors, adjacency, exits } = building;
+  const { hazardNodes, hazardEdges, hazardTypes } = scenario;
+  const path = route.path;
+  const label = id => nodes[id]?.label || id;
+  const order = id => floors[nodes[id]?.floor]?.order ?? 0;
+  const vertical = id => nodes[id]?.type === 'stair' || nodes[id]?.type === 'elevator';
+  const hazard = id => (INSTRUCTION_HAZARDS[hazardTypes[id]] || (l => `the hazard in ${l}`))(label(id));
+  const type = id => nodes[id]?.type;
+  const end = id => {
+    if (!exits.has(id)) return `Wait at ${label(id)} for assistance`;
+    return type(id) === 'assembly' ? `Gather at ${label(id)}` : `Exit via ${label(id)}`;
+  };
+  // A step that keeps to one floor; campus doors and outdoor paths read differently
+  const walk = (id, i) => {
+    if (!i) return `Leave ${label(id)}`;
+    if (type(id) === 'exit') return type(path[i - 1]) === 'outdoor' ? `Go in through ${label(id)}` : `Leave the building via ${label(id)}`;
+    if (type(id) === 'outdoor') return `Head for ${label(id)}`;
+    return `Turn into ${label(id)}`;
+  };
+
+  const steps = [];
+  for (let i = 0; i < path.length; i++) {
+    const id = path[i];
+    if (path.length === 1) {
+      steps.push({ text: exits.has(id) ? `Leave the building via ${label(id)}` : `Stay at ${label(id)} and wait for assistance`, nodes: [id], notes: [] });
+      continue;
+    }
+    if (i === path.length - 1) {
+      steps.push({ text: end(id), nodes: [id], notes: [] });
+      continue;
+    }
+    let j = i;
+    if (vertical(id)) {
+      while (j + 1 < path.length - 1 && nodes[path[j + 1]]?.type === nodes[id].type) j++;
+    }
+    const span = order(path[j]) - order(id);
+    if (span) {
+      const n = Math.abs(span);
+      steps.push({
+        text: `Take ${label(id)} ${span < 0 ? 'down' : 'up'} ${countWord(n)} floor${n !== 1 ? 's' : ''} to ${floorPhrase(floors, nodes[path[j]].floor)}`,
+        nodes: path.slice(i, j + 1),
+        notes: [],
+      });
+      i = j;
+    } else {
+      steps.push({ text: walk(id, i), nodes: [id], notes: [] });
+    }
+  }
+
+  // Hazards: passed through on the route, or next to it and bypassed — each named once
+  const onPath = new Set(path);
+  const named = new Set();
+  const reverse = reverseAdjacency({ adjacency });
+  for (const step of steps) {
+    for (const id of step.nodes) {
+      if (hazardNodes.has(id) && id !== path[0]) step.notes.push(`keep low through ${hazard(id)}`);
+      const neighbours = new Set([...(adjacency[id] || []), ...(reverse[id] || [])]);
+      for (const n of neighbours) {
+        if (onPath.has(n)) continue;
+        if (hazardNodes.has(n) && !named.has(n)) {
+          named.add(n);
+          step.notes.push(`avoid ${hazard(n)}`);
+        } else if (hazardEdges.has(edgeKey(id, n)) && !named.has(edgeKey(id, n))) {
+          named.add(edgeKey(id, n));
+          step.notes.push(`the way to ${label(n)} is blocked`);
+        }
+      }
+    }
+  }
+  return steps;
+}
+
+// A step as one phrase, its notes after a dash
+function instructionText(step) {
+  return step.notes.length ? `${step.text} — ${step.notes.join('; ')}` : step.text;
+}
+
+// All the steps as one sentence, for reading aloud
+function instructionsText(steps) {
+  const text = steps.map((step, i) => {
+    const phrase = instructionText(step);
+    return i ? `${phrase.charAt(0).toLowerCase()}${phrase.slice(1)}` : phrase;
+  }).join(', ');
+  return text ? `${text}.` : '';
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { INSTRUCTION_NUMBERS, INSTRUCTION_HAZARDS, routeInstructions, instructionText, instructionsText };
+}
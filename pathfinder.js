@@ -0,0 +1,401 @@
+/**
+ * WEIGHTED PATHFINDER
+ * Distance-weighted evacuation routing (Dijkstra) over the building graph.
+ * Edge costs come from node geometry or explicit lengths; stair edges that
+ * cross floors cost extra for every floor climbed or descended.
+ * Hazards follow HAZARD_POLICY: each type is impassable or adds a penalty.
+ * Route profiles (ROUTE_PROFILES) decide who may use stairs and lifts.
+ */
+
+const ROUTE_COSTS = {
+  unitsToMeters: 0.1,   // map geometry units → metres
+  defaultLength: 10,    // metres, when an edge has neither geometry nor an explicit length
+  stairFlight:   8,     // metres walked per floor on a stair flight
+  stairPenalty:  12,    // extra equivalent metres per floor (stairs are slower than corridors)
+  walkSpeed:     1.2,   // metres per second
+  liftWait:      30,    // equivalent metres for calling a lift (25 s at walking speed)
+  liftPerFloor:  4,     // equivalent metres per floor travelled in a lift
+};
+
+// Per-hazard-type routing policy. Passable hazards add `penalty` equivalent
+// metres for entering the node; anything not listed here is impassable.
+// A graph can carry its own `hazardPolicy` (e.g. responders, responder.js).
+const HAZARD_POLICY = {
+  fire:         { passable: false },
+  closed:       { passable: false },
+  exit_blocked: { passable: false },
+  smoke:        { passable: true, penalty: 40 },   // crawling under smoke is slow
+};
+
+function hazardPolicy(type, policy = HAZARD_POLICY) {
+  return Object.hasOwn(policy, type) ? policy[type] : { passable: false };
+}
+
+// Who is evacuating. `avoid` lists node types a route may not pass through;
+// `avoidInFire` is added while any node is on fire (lifts are recalled).
+// A route may still start on an avoided node, and refuges are only ever a
+// destination (see planRefugeRoute).
+const ROUTE_PROFILES = {
+  standard: { label: 'Standard',          avoid: ['elevator', 'refuge'], avoidInFire: [] },
+  mobility: { label: 'Mobility-impaired', avoid: ['stair', 'refuge'],    avoidInFire: [] },
+  assisted: { label: 'Assisted',          avoid: ['refuge'],             avoidInFire: ['elevator'] },
+};
+
+// Unknown profiles route as standard
+function routeProfile(profile) {
+  return Object.hasOwn(ROUTE_PROFILES, profile) ? ROUTE_PROFILES[profile] : ROUTE_PROFILES.standard;
+}
+
+function isFireMode(hazardTypes) {
+  return Object.values(hazardTypes).includes('fire');
+}
+
+// Edge key — always sorted for consistency
+function edgeKey(a, b) {
+  return [a, b].sort().join('::');
+}
+
+// ─────────────────────────────────────────────────────────────
+// GRAPH CONSTRUCTION
+// ─────────────────────────────────────────────────────────────
+// Builds a routing graph with a { length, floors, cost } record per edge.
+// Lift rides cost a wait plus a little per floor and walk no distance.
+// A link between an outdoor node and a building records the building end as
+// its `door`: routes leave through it but never come back in (see isEntering).
+// The graph routes for the standard profile — see profileGraph.
+//   nodes     id → { floor, type }
+//   floors    floorId → { order, outdoor? }   an outdoor floor is level with
+//             every floor it touches (campus doors, see campus.js)
+//   adjacency id → [neighbourIds]
+//   geometry  id → { x, y }            (optional)
+//   edges     [[a, b, 'cross'?], ...]  (optional, map edge list)
+//   lengths   'A::B' → metres          (optional, explicit overrides)
+function buildRoutingGraph({ nodes, floors, adjacency, exits, geometry = {}, edges = [], lengths = {} }) {
+  const crossKeys = new Set(edges.filter(e => e[2] === 'cross').map(([a, b]) => edgeKey(a, b)));
+  const edgeInfo = {};
+
+  for (const [a, neighbors] of Object.entries(adjacency)) {
+    for (const b of neighbors) {
+      const key = edgeKey(a, b);
+      if (edgeInfo[key]) continue;
+
+      const fa = floors?.[nodes[a]?.floor];
+      const fb = floors?.[nodes[b]?.floor];
+      let floorSpan = fa && fb && !fa.outdoor && !fb.outdoor ? Math.abs(fa.order - fb.order) : 0;
+      if (crossKeys.has(key)) floorSpan = Math.max(floorSpan, 1);
+
+      const lift = floorSpan > 0 && nodes[a]?.type === 'elevator' && nodes[b]?.type === 'elevator';
+      if (lift) {
+        edgeInfo[key] = { length: 0, floors: floorSpan, cost: ROUTE_COSTS.liftWait + floorSpan * ROUTE_COSTS.liftPerFloor, lift: true };
+        continue;
+      }
+
+      let length;
+      if (lengths[key] !== undefined) {
+        length = lengths[key];
+      } else if (floorSpan > 0) {
+        length = ROUTE_COSTS.stairFlight * floorSpan;
+      } else if (geometry[a] && geometry[b]) {
+        length = Math.hypot(geometry[a].x - geometry[b].x, geometry[a].y - geometry[b].y) * ROUTE_COSTS.unitsToMeters;
+      } else {
+        length = ROUTE_COSTS.defaultLength;
+      }
+
+      edgeInfo[key] = {
+        length,
+        floors: floorSpan,
+        cost: length + floorSpan * ROUTE_COSTS.stairPenalty,
+      };
+      if (fa && fb && !fa.outdoor !== !fb.outdoor) edgeInfo[key].door = fa.outdoor ? b : a;
+    }
+  }
+
+  return { nodes, adjacency, exits, edges: edgeInfo, avoid: new Set(ROUTE_PROFILES.standard.avoid) };
+}
+
+// The same graph routed for another profile; fire mode depends on the hazards
+function profileGraph(graph, profile = 'standard', hazardTypes = {}) {
+  const p = routeProfile(profile);
+  return { ...graph, avoid: new Set([...p.avoid, ...(isFireMode(hazardTypes) ? p.avoidInFire : [])]) };
+}
+
+// Whether a route may pass through a node under the graph's profile
+function isAvoided(graph, id) {
+  return !!graph.avoid?.has(graph.nodes?.[id]?.type) && !graph.exits.has(id);
+}
+
+// Whether stepping from `from` to `to` walks back into a building from outdoors.
+// Evacuees never do; a graph with `enterDoors` (responder.js) allows it.
+function isEntering(graph, from, to) {
+  return !graph.enterDoors && graph.edges[edgeKey(from, to)]?.door === to;
+}
+
+function edgeCost(graph, a, b) {
+  return graph.edges[edgeKey(a, b)]?.cost ?? ROUTE_COSTS.defaultLength;
+}
+
+// ─────────────────────────────────────────────────────────────
+// DIJKSTRA
+// ─────────────────────────────────────────────────────────────
+// Cheapest path from start to the nearest exit, or null when every exit is cut off.
+// Nodes in blockedNodes are impassable unless hazardTypes gives them a passable
+// type, in which case entering them costs the policy penalty.
+function findRoute(graph, start, blockedNodes = new Set(), blockedEdges = new Set(), hazardTypes = {}) {
+  const isImpassable = id => (blockedNodes.has(id) && !hazardPolicy(hazardTypes[id], graph.hazardPolicy).passable) || (id !== start && isAvoided(graph, id));
+  const penalty = id => (blockedNodes.has(id) ? hazardPolicy(hazardTypes[id], graph.hazardPolicy).penalty || 0 : 0);
+
+  if (isImpassable(start)) return null;
+
+  const dist = { [start]: 0 };
+  const prev = {};
+  const done = new Set();
+  const queue = [[0, start]];
+
+  while (queue.length > 0) {
+    const [d, current] = queue.shift();
+    if (done.has(current)) continue;
+    done.add(current);
+
+    if (graph.exits.has(current)) {
+      const path = [current];
+      while (prev[path[0]] !== undefined) path.unshift(prev[path[0]]);
+      return routeMetrics(graph, path, blockedNodes, hazardTypes);
+    }
+
+    for (const neighbor of graph.adjacency[current] || []) {
+      if (done.has(neighbor)) continue;
+      if (isImpassable(neighbor)) continue;
+      if (blockedEdges.has(edgeKey(current, neighbor))) continue;
+      if (isEntering(graph, current, neighbor)) continue;
+
+      const nd = d + edgeCost(graph, current, neighbor) + penalty(neighbor);
+      if (dist[neighbor] !== undefined && nd >= dist[neighbor]) continue;
+      dist[neighbor] = nd;
+      prev[neighbor] = current;
+
+      // Sorted insert — building graphs are small enough that a heap buys nothing
+      let i = queue.length;
+      while (i > 0 && queue[i - 1][0] > nd) i--;
+      queue.splice(i, 0, [nd, neighbor]);
+    }
+  }
+  return null; // no path found
+}
+
+// Distance, floors, cost, walking time and hazards crossed of an explicit path
+function routeMetrics(graph, path, blockedNodes = new Set(), hazardTypes = {}) {
+  let distance = 0, floors = 0, cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    const e = graph.edges[edgeKey(path[i], path[i + 1])];
+    distance += e ? e.length : ROUTE_COSTS.defaultLength;
+    floors   += e ? e.floors : 0;
+    cost     += e ? e.cost : ROUTE_COSTS.defaultLength;
+  }
+  const hazards = path
+    .filter(id => blockedNodes.has(id))
+    .map(id => ({ id, type: hazardTypes[id] }));
+  hazards.forEach(h => { cost += hazardPolicy(h.type, graph.hazardPolicy).penalty || 0; });
+
+  return { path, distance, floors, cost, time: cost / ROUTE_COSTS.walkSpeed, hazards, degraded: hazards.length > 0 };
+}
+
+// Clean route first (every hazard impassable); if none exists, fall back to a
+// degraded route through passable hazards such as smoke.
+function planRoute(graph, start, hazardNodes, hazardEdges, hazardTypes) {
+  return findRoute(graph, start, hazardNodes, hazardEdges)
+      || findRoute(graph, start, hazardNodes, hazardEdges, hazardTypes);
+}
+
+// Route to the nearest refuge, for when planRoute finds no exit
+function planRefugeRoute(graph, start, hazardNodes, hazardEdges, hazardTypes) {
+  const refuges = new Set(Object.keys(graph.nodes).filter(id => graph.nodes[id].type === 'refuge'));
+  if (!refuges.size) return null;
+  return planRoute({ ...graph, exits: refuges }, start, hazardNodes, hazardEdges, hazardTypes);
+}
+
+// ─────────────────────────────────────────────────────────────
+// K-SHORTEST LOOPLESS ROUTES (YEN)
+// ─────────────────────────────────────────────────────────────
+// Yen's algorithm over one hazard tier. Yields loopless routes in cost order.
+function* yenRoutes(graph, start, blockedNodes, blockedEdges, hazardTypes) {
+  const first = findRoute(graph, start, blockedNodes, blockedEdges, hazardTypes);
+  if (!first) return;
+
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([first.path.join('>')]);
+  yield first;
+
+  while (true) {
+    const prev = accepted[accepted.length - 1].path;
+
+    for (let i = 0; i < prev.length - 1; i++) {
+      const spurNode = prev[i];
+      const rootPath = prev.slice(0, i + 1);
+      const rootKey = rootPath.join('>');
+
+      // Remove the next edge of every accepted route sharing this root
+      const removedEdges = new Set(blockedEdges);
+      for (const r of accepted) {
+        if (r.path.length > i + 1 && r.path.slice(0, i + 1).join('>') === rootKey) {
+          removedEdges.add(edgeKey(r.path[i], r.path[i + 1]));
+        }
+      }
+      // Root nodes (except the spur) are off limits, even if only smoky
+      const removedNodes = new Set(blockedNodes);
+      const spurTypes = { ...hazardTypes };
+      rootPath.slice(0, -1).forEach(id => { removedNodes.add(id); delete spurTypes[id]; });
+
+      const spur = findRoute(graph, spurNode, removedNodes, removedEdges, spurTypes);
+      if (!spur) continue;
+
+      const path = [...rootPath.slice(0, -1), ...spur.path];
+      const key = path.join('>');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push(routeMetrics(graph, path, blockedNodes, hazardTypes));
+    }
+
+    if (!candidates.length) return;
+    candidates.sort((a, b) => a.cost - b.cost);
+    const next = candidates.shift();
+    accepted.push(next);
+    yield next;
+  }
+}
+
+// Up to k routes ranked by cost — clean routes first, then degraded ones through
+// passable hazards. Options:
+//   distinctExits   every route ends at a different exit
+//   disjointStairs  no two routes share a stairwell
+//   maxExplored     cap on routes generated per tier while filtering
+function kShortestRoutes(graph, start, hazardNodes, hazardEdges, hazardTypes, { k = 3, distinctExits = false, disjointStairs = false, maxExplored = 60 } = {}) {
+  const routes = [];
+  const usedExits = new Set();
+  const usedStairs = new Set();
+  const seen = new Set();
+  const stairsOf = path => path.filter(id => graph.nodes?.[id]?.type === 'stair');
+
+  for (const types of [{}, hazardTypes]) {
+    let explored = 0;
+    for (const route of yenRoutes(graph, start, hazardNodes, hazardEdges, types)) {
+      if (routes.length >= k || ++explored > maxExplored) break;
+      const key = route.path.join('>');
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const exit = route.path[route.path.length - 1];
+      const stairs = stairsOf(route.path);
+      if (distinctExits && usedExits.has(exit)) continue;
+      if (disjointStairs && stairs.some(id => usedStairs.has(id))) continue;
+
+      usedExits.add(exit);
+      stairs.forEach(id => usedStairs.add(id));
+      routes.push(route);
+    }
+    if (routes.length >= k) break;
+  }
+  return routes;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ALL-ROOMS PLANNING
+// ─────────────────────────────────────────────────────────────
+// Predecessor lists (who can step into each node), cached on the graph
+function reverseAdjacency(graph) {
+  if (graph.reverse) return graph.reverse;
+  const reverse = {};
+  for (const [a, neighbors] of Object.entries(graph.adjacency)) {
+    reverse[a] = reverse[a] || [];
+    for (const b of neighbors) (reverse[b] = reverse[b] || []).push(a);
+  }
+  graph.reverse = reverse;
+  return reverse;
+}
+
+// Multi-source Dijkstra from every usable exit over the reversed graph.
+// Returns id → next hop towards the cheapest exit (exits map to null).
+// Nodes the profile avoids get a next hop but are never passed through.
+function exitTree(graph, blockedNodes, blockedEdges, hazardTypes) {
+  const isImpassable = id => blockedNodes.has(id) && !hazardPolicy(hazardTypes[id], graph.hazardPolicy).passable;
+  const penalty = id => (blockedNodes.has(id) ? hazardPolicy(hazardTypes[id], graph.hazardPolicy).penalty || 0 : 0);
+  const reverse = reverseAdjacency(graph);
+
+  const dist = {};
+  const next = {};
+  const done = new Set();
+  const queue = [];
+  for (const exit of graph.exits) {
+    if (isImpassable(exit)) continue;
+    dist[exit] = 0;
+    next[exit] = null;
+    queue.push([dist[exit], exit]);
+  }
+  queue.sort((a, b) => a[0] - b[0]);
+
+  while (queue.length > 0) {
+    const [d, current] = queue.shift();
+    if (done.has(current)) continue;
+    done.add(current);
+    if (isAvoided(graph, current)) continue;
+
+    for (const prevNode of reverse[current] || []) {
+      if (done.has(prevNode)) continue;
+      if (isImpassable(prevNode)) continue;
+      if (blockedEdges.has(edgeKey(prevNode, current))) continue;
+      if (isEntering(graph, prevNode, current)) continue;
+
+      // Stepping from prevNode into current pays current's penalty, as in findRoute
+      const nd = d + edgeCost(graph, prevNode, current) + penalty(current);
+      if (dist[prevNode] !== undefined && nd >= dist[prevNode]) continue;
+      dist[prevNode] = nd;
+      next[prevNode] = current;
+
+      let i = queue.length;
+      while (i > 0 && queue[i - 1][0] > nd) i--;
+      queue.splice(i, 0, [nd, prevNode]);
+    }
+  }
+  return next;
+}
+
+// Best route for every node in one pass per tier (clean, then degraded).
+// Returns id → route, or null for nodes that are trapped under the current hazards.
+function planAllRooms(graph, nodeIds, hazardNodes, hazardEdges, hazardTypes) {
+  const clean = exitTree(graph, hazardNodes, hazardEdges, {});
+  const degraded = exitTree(graph, hazardNodes, hazardEdges, hazardTypes);
+  const follow = (tree, id) => {
+    const path = [id];
+    while (tree[path[path.length - 1]]) path.push(tree[path[path.length - 1]]);
+    return path;
+  };
+
+  const result = {};
+  for (const id of nodeIds) {
+    if (clean[id] !== undefined) result[id] = routeMetrics(graph, follow(clean, id), hazardNodes, {});
+    else if (degraded[id] !== undefined) result[id] = routeMetrics(graph, follow(degraded, id), hazardNodes, hazardTypes);
+    else result[id] = null;
+  }
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────
+// FORMATTING
+// ─────────────────────────────────────────────────────────────
+function formatDistance(meters) {
+  return `${Math.round(meters)} m`;
+}
+
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    ROUTE_COSTS, HAZARD_POLICY, hazardPolicy, ROUTE_PROFILES, routeProfile, isFireMode, edgeKey, buildRoutingGraph, profileGraph, isAvoided, isEntering, edgeCost,
+    findRoute, routeMetrics, planRoute, planRefugeRoute, yenRoutes, kShortestRoutes, reverseAdjacency, exitTree, planAllRooms,
+    formatDistance, formatDuration,
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * USER PRESETS
+ * Hazard presets saved by the team, kept in localStorage per building name
+ * alongside the building's own HAZARD_PRESETS. A preset is
+ *   { description, nodes: [id], types: { id → hazard type }, edges: [[a, b]] }
+ * — see presetFromScenario / loadPreset in evacEngine.js. A user preset with
+ * the same name as a building preset takes its place.
+ *
+ * Requires pathfinder.js (HAZARD_POLICY) to be loaded first.
+ */
+
+const USER_PRESETS_KEY = 'evac.userPresets';
+
+// Storage failures (private mode, quota, corrupt data) never break the page:
+// reads fall back to no presets and writes report false.
+function readPresetStore(storage) {
+  try {
+    const store = JSON.parse((storage || globalThis.localStorage).getItem(USER_PRESETS_KEY) || '{}');
+    return store && typeof store === 'object' && !Array.isArray(store) ? store : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writePresetStore(store, storage) {
+  try {
+    (storage || globalThis.localStorage).setItem(USER_PRESETS_KEY, JSON.stringify(store));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Keeps only hazard types for the preset's own nodes that HAZARD_POLICY knows
+function presetTypes(p) {
+  const types = {};
+  if (!p.types || typeof p.types !== 'object' || Array.isArray(p.types)) return types;
+  for (const [id, type] of Object.entries(p.types)) {
+    if (p.nodes.includes(id) && Object.hasOwn(HAZARD_POLICY, type)) types[id] = type;
+  }
+  return types;
+}
+
+// name → preset for one building. Presets naming nodes the building no longer
+// has are left out, so an edited building never gets hazards it cannot show.
+function readUserPresets(buildingName, nodes, storage) {
+  const saved = readPresetStore(storage)[buildingName];
+  const presets = {};
+  if (!saved || typeof saved !== 'object') return presets;
+  const known = id => Object.hasOwn(nodes, id);
+  for (const [name, p] of Object.entries(saved)) {
+    if (!p || !Array.isArray(p.nodes) || !Array.isArray(p.edges)) continue;
+    if (!p.nodes.every(known) || !p.edges.every(pair => Array.isArray(pair) && pair.every(known))) continue;
+    presets[name] = {
+      description: typeof p.description === 'string' ? p.description : '',
+      nodes: [...p.nodes],
+      types: presetTypes(p),
+      edges: p.edges.map(([a, b]) => [a, b]),
+    };
+  }
+  return presets;
+}
+
+// Saves under `name`; pass `previousName` when an edit renames the preset
+function saveUserPreset(buildingName, name, preset, previousName, storage) {
+  const store = readPresetStore(storage);
+  const presets = { ...store[buildingName] };
+  if (previousName && previousName !== name) delete presets[previousName];
+  presets[name] = {
+    description: preset.description || '',
+    nodes: [...preset.nodes],
+    types: { ...preset.types },
+    edges: (preset.edges || []).map(([a, b]) => [a, b]),
+    savedAt: Date.now(),
+  };
+  store[buildingName] = presets;
+  return writePresetStore(store, storage);
+}
+
+function deleteUserPreset(buildingName, name, storage) {
+  const store = readPresetStore(storage);
+  if (!store[buildingName] || !(name in store[buildingName])) return false;
+  delete store[buildingName][name];
+  if (!Object.keys(store[buildingName]).length) delete store[buildingName];
+  return writePresetStore(store, storage);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { USER_PRESETS_KEY, readPresetStore, writePresetStore, readUserPresets, saveUserPreset, deleteUserPreset };
+}
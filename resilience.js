@@ -0,0 +1,215 @@
+/**
+ * RESILIENCE ANALYSIS
+ * What-if hazards on top of the current scenario: which single nodes or
+ * connections, and which pairs of them, leave a room with no way out at all.
+ * A what-if hazard is impassable (like fire); existing hazards keep their
+ * HAZARD_POLICY, so smoke still counts as a way out.
+ * Requires pathfinder.js to be loaded first; resilienceWorker.js runs it off
+ * the main thread.
+ */
+
+const RESILIENCE_LIMITS = {
+  maxPairs: 20000,   // double-hazard scenarios to try before giving up
+};
+
+// Articulation nodes and bridge edges, treating every link as two-way.
+// Tarjan's low-link, iterative so a large site cannot overflow the stack.
+function cutPoints(adjacency) {
+  const undirected = {};
+  const link = (a, b) => (undirected[a] = undirected[a] || new Set()).add(b);
+  for (const [a, neighbors] of Object.entries(adjacency)) {
+    for (const b of neighbors) {
+      link(a, b);
+      link(b, a);
+    }
+  }
+
+  const index = {};
+  const low = {};
+  const nodes = new Set();
+  const bridges = new Set();
+  let counter = 0;
+
+  for (const root of Object.keys(undirected)) {
+    if (index[root] !== undefined) continue;
+    index[root] = low[root] = counter++;
+    let rootChildren = 0;
+    const stack = [{ id: root, parent: null, rest: undirected[root].values() }];
+
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const step = top.rest.next();
+      if (!step.done) {
+        const n = step.value;
+        if (n === top.parent) continue;
+        if (index[n] === undefined) {
+          index[n] = low[n] = counter++;
+          if (top.id === root) rootChildren++;
+          stack.push({ id: n, parent: top.id, rest: undirected[n].values() });
+        } else {
+          low[top.id] = Math.min(low[top.id], index[n]);
+        }
+        continue;
+      }
+
+      stack.pop();
+      if (top.parent === null) continue;
+      const p = top.parent;
+      low[p] = Math.min(low[p], low[top.id]);
+      if (low[top.id] > index[p]) bridges.add(edgeKey(p, top.id));
+      if (p !== root && low[top.id] >= index[p]) nodes.add(p);
+    }
+    if (rootChildren > 1) nodes.add(root);
+  }
+  return { nodes, bridges };
+}
+
+// Rooms left with no way out once the what-if hazards are added. A room is
+// never counted as cut off by a hazard in the room itself.
+function strandedRooms(graph, rooms, base, element, other) {
+  const added = other ? [element, other] : [element];
+  const blockedNodes = new Set(base.nodes);
+  const blockedEdges = new Set(base.edges);
+  added.forEach(el => (el.kind === 'node' ? blockedNodes : blockedEdges).add(el.id));
+  const tree = exitTree(graph, blockedNodes, blockedEdges, base.types);
+  return rooms.filter(id => tree[id] === undefined && !added.some(el => el.id === id));
+}
+
+// ─────────────────────────────────────────────────────────────
+// WHAT-IF REPORT
+// ─────────────────────────────────────────────────────────────
+//   graph  routing graph from buildRoutingGraph
+//   rooms  node ids to evacuate
+//   base   { nodes: Set, edges: Set, types: {} } — the hazards already in place
+// Returns {
+//   rooms        rooms that have a way out before any what-if hazard
+//   trapped      rooms already cut off by the current hazards
+//   elements     [{ kind: 'node'|'edge', id, dependents: [rooms], onRoutes, cut }]
+//                every node and connection not already blocked, most depended-on first;
+//                `cut` marks articulation nodes and bridges
+//   byRoom       room → { single: [ids], double: [[id, id]] } hazards that strand it
+//   articulation node ids and bridges edge keys that lie on a current route
+//   pairsChecked, truncated
+// }
+function analyzeResilience(graph, rooms, base, { maxPairs = RESILIENCE_LIMITS.maxPairs } = {}) {
+  const plans = planAllRooms(graph, rooms, base.nodes, base.edges, base.types);
+  const live = rooms.filter(id => plans[id]);
+  const trapped = rooms.filter(id => !plans[id]);
+
+  // How many current best routes pass through each node and connection
+  const onRoutes = {};
+  for (const id of live) {
+    const path = plans[id].path;
+    for (let i = 1; i < path.length; i++) {
+      onRoutes[path[i]] = (onRoutes[path[i]] || 0) + 1;
+      const key = edgeKey(path[i - 1], path[i]);
+      onRoutes[key] = (onRoutes[key] || 0) + 1;
+    }
+  }
+
+  const cuts = cutPoints(graph.adjacency);
+  const elements = [
+    ...Object.keys(graph.adjacency).filter(id => !base.nodes.has(id))
+      .map(id => ({ kind: 'node', id, cut: cuts.nodes.has(id) })),
+    ...Object.keys(graph.edges).filter(key => !base.edges.has(key))
+      .map(key => ({ kind: 'edge', id: key, cut: cuts.bridges.has(key) })),
+  ];
+
+  const byRoom = {};
+  live.forEach(id => { byRoom[id] = { single: [], double: [] }; });
+  for (const el of elements) {
+    el.onRoutes = onRoutes[el.id] || 0;
+    el.dependents = el.onRoutes ? strandedRooms(graph, live, base, el) : [];   // off every route → nobody notices
+    el.dependents.forEach(room => byRoom[room].single.push(el.id));
+  }
+
+  // A pair only matters if it cuts a current route, so one member must be on one
+  const strands = new Map(elements.map(el => [el, new Set(el.dependents)]));
+  let pairsChecked = 0;
+  let truncated = false;
+  pairs:
+  for (let i = 0; i < elements.length; i++) {
+    for (let j = i + 1; j < elements.length; j++) {
+      const a = elements[i], b = elements[j];
+      if (!a.onRoutes && !b.onRoutes) continue;
+      if (pairsChecked >= maxPairs) {
+        truncated = true;
+        break pairs;
+      }
+      pairsChecked++;
+      for (const room of strandedRooms(graph, live, base, a, b)) {
+        if (!strands.get(a).has(room) && !strands.get(b).has(room)) byRoom[room].double.push([a.id, b.id]);
+      }
+    }
+  }
+
+  elements.sort((x, y) => y.dependents.length - x.dependents.length || y.onRoutes - x.onRoutes);
+  return {
+    rooms: live,
+    trapped,
+    elements,
+    byRoom,
+    articulation: [...cuts.nodes].filter(id => onRoutes[id]),
+    bridges: [...cuts.bridges].filter(key => onRoutes[key]),
+    pairsChecked,
+    truncated,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// RUNNER
+// ─────────────────────────────────────────────────────────────
+// Runs the analysis in resilienceWorker.js, so a hazard change (or a fire
+// spread tick) does not hold up the page. Where workers are unavailable it
+// runs on the main thread after a timeout, so a newer run that cancels this
+// one first costs nothing.
+//   handlers  { onDone(report), onError(message) }
+// Returns { cancel() }.
+function runResilienceAnalysis(graph, rooms, base, { onDone, onError }) {
+  let cancelled = false;
+  let worker = null;
+  // The caller's hazard sets keep changing after this returns
+  const snapshot = { nodes: new Set(base.nodes), edges: new Set(base.edges), types: { ...base.types } };
+
+  const runOnMainThread = () => setTimeout(() => {
+    if (cancelled) return;
+    let report;
+    try {
+      report = analyzeResilience(graph, rooms, snapshot);
+    } catch (err) {
+      onError?.(err.message);
+      return;
+    }
+    onDone?.(report);
+  }, 0);
+
+  try {
+    worker = new Worker('resilienceWorker.js');
+  } catch (err) {
+    worker = null;
+  }
+
+  if (!worker) {
+    runOnMainThread();
+    return { cancel: () => { cancelled = true; } };
+  }
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    worker.terminate();
+    if (msg.type === 'done') onDone?.(msg.report);
+    else if (msg.type === 'error') onError?.(msg.message);
+  };
+  // The worker reports its own errors, so this one never loaded — run here instead
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    worker.terminate();
+    if (!cancelled) runOnMainThread();
+  };
+  worker.postMessage({ graph, rooms, base: snapshot });
+  return { cancel: () => { cancelled = true; worker.terminate(); } };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { RESILIENCE_LIMITS, cutPoints, strandedRooms, analyzeResilience, runResilienceAnalysis };
+}
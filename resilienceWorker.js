@@ -0,0 +1,16 @@
+/**
+ * RESILIENCE WORKER
+ * Runs resilience.js off the main thread so the page stays responsive.
+ *   in   { graph, rooms, base }   (see analyzeResilience)
+ *   out  { type: 'done', report } or { type: 'error', message }
+ */
+importScripts('pathfinder.js', 'resilience.js');
+
+self.onmessage = (e) => {
+  const { graph, rooms, base } = e.data;
+  try {
+    self.postMessage({ type: 'done', report: analyzeResilience(graph, rooms, base) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
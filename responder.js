@@ -0,0 +1,89 @@
+/**
+ * RESPONDER INGRESS
+ * Routes for fire crews going in rather than people coming out: from the
+ * entrance or an exit to each fire, and to every room the evacuation planner
+ * reports as trapped. Crews have their own hazard rules
+ * (RESPONDER_HAZARD_POLICY): smoke is passable in breathing apparatus, fire
+ * never is. They use the stairs, not the lifts. A fire cannot be entered, so
+ * its approach ends at a staging node, the cheapest safe node next to it.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+const RESPONDER_HAZARD_POLICY = {
+  fire:         { passable: false },
+  closed:       { passable: false },
+  exit_blocked: { passable: false },
+  smoke:        { passable: true, penalty: 10 },   // slower in breathing apparatus, not dangerous
+};
+
+const RESPONDER_DEFAULTS = {
+  origin: 'Entrance',                        // where crews enter unless another node is chosen
+  avoid: ['elevator', 'refuge'],             // lifts are recalled; refuges are only destinations
+  occupied: ['room', 'control', 'refuge'],   // node types checked for trapped people
+};
+
+// Where crews can enter: the entrance, when the building has one, then every exit
+function responderOrigins(nodes, exits) {
+  return [...new Set([RESPONDER_DEFAULTS.origin, ...exits])].filter(id => nodes[id]);
+}
+
+// The routing graph with responder rules, routed to `targets` instead of the
+// exits. Crews go in through campus doors, which evacuees may only leave by.
+function responderGraph(graph, targets) {
+  return { ...graph, exits: new Set(targets), avoid: new Set(RESPONDER_DEFAULTS.avoid), hazardPolicy: RESPONDER_HAZARD_POLICY, enterDoors: true };
+}
+
+// Hazard-free neighbours of a node, joined to it by an open connection
+function stagingNodes(graph, scenario, id) {
+  const neighbours = new Set([...(graph.adjacency[id] || []), ...(reverseAdjacency(graph)[id] || [])]);
+  return [...neighbours].filter(n => graph.nodes[n]
+    && !RESPONDER_DEFAULTS.avoid.includes(graph.nodes[n].type)
+    && !scenario.hazardNodes.has(n)
+    && !scenario.hazardEdges.has(edgeKey(id, n)));
+}
+
+// Approach from `origin` to one target. Returns { target, stage, route }:
+// stage is the node the crew stops at when the target cannot be entered
+// (null when the route reaches the target), route is null when there is no
+// approach under the responder rules.
+function planApproach(graph, scenario, origin, target) {
+  const { hazardNodes, hazardEdges, hazardTypes } = scenario;
+  const enterable = !hazardNodes.has(target) || hazardPolicy(hazardTypes[target], RESPONDER_HAZARD_POLICY).passable;
+  const goals = enterable ? [target] : stagingNodes(graph, scenario, target);
+  const route = goals.length ? findRoute(responderGraph(graph, goals), origin, hazardNodes, hazardEdges, hazardTypes) : null;
+  return { target, stage: route && !enterable ? route.path[route.path.length - 1] : null, route };
+}
+
+// Occupied nodes (RESPONDER_DEFAULTS.occupied) that cannot reach any exit.
+// A node that is itself on fire is the incident, not a trapped room.
+//   evacGraph  the graph the evacuation is planned on (see profileGraph)
+function trappedRooms(evacGraph, scenario) {
+  const { hazardNodes, hazardEdges, hazardTypes } = scenario;
+  const rooms = Object.keys(evacGraph.nodes).filter(id => RESPONDER_DEFAULTS.occupied.includes(evacGraph.nodes[id].type)
+    && !(hazardNodes.has(id) && !hazardPolicy(hazardTypes[id]).passable));
+  const plans = planAllRooms(evacGraph, rooms, hazardNodes, hazardEdges, hazardTypes);
+  return rooms.filter(id => !plans[id]);
+}
+
+// Everything a crew entering at `origin` needs, nearest first. Returns {
+//   origin
+//   fires    [{ target, stage, route }] one per node on fire
+//   trapped  [{ target, stage, route }] one per trapped room
+// }
+function planResponse(graph, scenario, origin, evacGraph = graph) {
+  const timeOf = a => (a.route ? a.route.time : Infinity);
+  const nearest = (a, b) => timeOf(a) - timeOf(b) || 0;
+  const fires = [...scenario.hazardNodes].filter(id => scenario.hazardTypes[id] === 'fire');
+  return {
+    origin,
+    fires: fires.map(id => planApproach(graph, scenario, origin, id)).sort(nearest),
+    trapped: trappedRooms(evacGraph, scenario).map(id => planApproach(graph, scenario, origin, id)).sort(nearest),
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    RESPONDER_HAZARD_POLICY, RESPONDER_DEFAULTS,
+    responderOrigins, responderGraph, stagingNodes, planApproach, trappedRooms, planResponse,
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * MONTE CARLO RISK ANALYSIS
+ * Thousands of randomised fires against the current building. Each scenario
+ * ignites nodes independently at their ignition probability (at least one
+ * fire per scenario), lets spreadSim.js grow fire and smoke for a fixed number
+ * of ticks, then routes every start room to the nearest exit.
+ * A scenario's random draws depend only on (seed, scenario index), so the
+ * same seed always gives the same report.
+ * Requires pathfinder.js and spreadSim.js to be loaded first; riskWorker.js
+ * runs it off the main thread.
+ */
+
+// Chance a fire starts in a node of this type, unless the node sets `ignition`
+const IGNITION_RATES = {
+  room:     0.010,
+  control:  0.010,
+  corridor: 0.004,
+  stair:    0.002,
+  elevator: 0.002,
+  refuge:   0.001,
+  exit:     0.001,
+  outdoor:  0,
+  assembly: 0,
+};
+
+const RISK_DEFAULTS = {
+  runs:  2000,
+  seed:  1,
+  ticks: 20,    // spread ticks between ignition and evacuation
+};
+
+// Redraws allowed before a scenario gives up on finding an ignition
+const MAX_IGNITION_DRAWS = 1000;
+
+function ignitionProbability(node) {
+  return node.ignition ?? IGNITION_RATES[node.type] ?? IGNITION_RATES.room;
+}
+
+// Independent seed for scenario `index` of a run
+function scenarioSeed(seed, index) {
+  return (Math.imul(seed >>> 0, 0x9E3779B1) + Math.imul(index + 1, 0x85EBCA6B)) >>> 0;
+}
+
+// Hazards of one scenario: id → 'fire' | 'smoke'
+function sampleScenario(model, seed, index) {
+  const rng = createRng(scenarioSeed(seed, index));
+  const ids = Object.keys(model.nodes).sort();
+  const hazardTypes = {};
+  for (let draw = 0; draw < MAX_IGNITION_DRAWS && !Object.keys(hazardTypes).length; draw++) {
+    for (const id of ids) {
+      if (rng() < ignitionProbability(model.nodes[id])) hazardTypes[id] = 'fire';
+    }
+  }
+
+  const sim = createSpreadSim({ nodes: model.nodes, floors: model.floors, adjacency: model.adjacency, seed: scenarioSeed(seed, index) ^ 0x5bd1e995 });
+  for (let t = 0; t < model.ticks; t++) {
+    for (const change of stepSpread(sim, hazardTypes)) hazardTypes[change.id] = change.type;
+  }
+  return hazardTypes;
+}
+
+// ─────────────────────────────────────────────────────────────
+// ANALYSIS
+// ─────────────────────────────────────────────────────────────
+//   building  { nodes, floors, adjacency, exits: [ids], geometry?, edges?, lengths? }
+//             — plain data, so it can be posted to a worker
+//   rooms     start rooms to evaluate
+function createRiskAnalysis(building, rooms, options = {}) {
+  const { runs, seed, ticks } = { ...RISK_DEFAULTS, ...options };
+  const exits = new Set(building.exits);
+  const graph = buildRoutingGraph({ ...building, exits });
+  const tally = {};
+  rooms.forEach(id => { tally[id] = { failures: 0, smoke: 0, distance: 0, time: 0, exits: {} }; });
+  return {
+    model: { nodes: building.nodes, floors: building.floors, adjacency: building.adjacency, ticks },
+    graph, rooms, runs, seed, ticks, done: 0, tally, burning: {},
+  };
+}
+
+// Runs up to `count` more scenarios; true once every run is done
+function stepRiskAnalysis(analysis, count) {
+  const end = Math.min(analysis.runs, analysis.done + count);
+  for (let i = analysis.done; i < end; i++) {
+    const hazardTypes = sampleScenario(analysis.model, analysis.seed, i);
+    const hazardNodes = new Set(Object.keys(hazardTypes));
+    for (const [id, type] of Object.entries(hazardTypes)) {
+      if (type === 'fire') analysis.burning[id] = (analysis.burning[id] || 0) + 1;
+    }
+
+    const plans = planAllRooms(analysis.graph, analysis.rooms, hazardNodes, new Set(), hazardTypes);
+    for (const id of analysis.rooms) {
+      // People in the room of origin get out of it first; only the rest of the building counts
+      let route = plans[id];
+      if (hazardNodes.has(id)) {
+        const others = new Set(hazardNodes);
+        others.delete(id);
+        route = planRoute(analysis.graph, id, others, new Set(), hazardTypes);
+      }
+      const t = analysis.tally[id];
+      if (!route) {
+        t.failures++;
+        continue;
+      }
+      const exit = route.path[route.path.length - 1];
+      t.exits[exit] = (t.exits[exit] || 0) + 1;
+      t.distance += route.distance;
+      t.time += route.time;
+      if (route.degraded) t.smoke++;
+    }
+  }
+  analysis.done = end;
+  return analysis.done >= analysis.runs;
+}
+
+// Returns {
+//   runs, seed, ticks
+//   rooms      id → { failure, smoke, meanDistance, meanTime, exits: { exitId → share } }
+//              failure and smoke are shares of all runs; means and exit shares
+//              are over the runs where the room got out (null when it never did)
+//   burned     id → share of runs in which the node was on fire at evacuation time
+// }
+function riskReport(analysis) {
+  const runs = analysis.done || 1;
+  const rooms = {};
+  for (const [id, t] of Object.entries(analysis.tally)) {
+    const escaped = analysis.done - t.failures;
+    const exits = {};
+    Object.entries(t.exits).forEach(([exit, n]) => { exits[exit] = n / escaped; });
+    rooms[id] = {
+      failure: t.failures / runs,
+      smoke: t.smoke / runs,
+      meanDistance: escaped ? t.distance / escaped : null,
+      meanTime: escaped ? t.time / escaped : null,
+      exits,
+    };
+  }
+  const burned = {};
+  Object.entries(analysis.burning).forEach(([id, n]) => { burned[id] = n / runs; });
+  return { runs: analysis.done, seed: analysis.seed, ticks: analysis.ticks, rooms, burned };
+}
+
+// ─────────────────────────────────────────────────────────────
+// RUNNER
+// ─────────────────────────────────────────────────────────────
+// Runs the analysis in riskWorker.js. Where workers are unavailable (some
+// browsers refuse them on file:// pages) it falls back to small chunks on the
+// main thread so the page still repaints between them.
+//   handlers  { onProgress(done, total), onDone(report), onError(message) }
+// Returns { cancel() }.
+function runRiskAnalysis(building, rooms, options, { onProgress, onDone, onError }) {
+  let cancelled = false;
+  let worker = null;
+
+  const runOnMainThread = () => {
+    let analysis;
+    try {
+      analysis = createRiskAnalysis(building, rooms, options);
+    } catch (err) {
+      onError?.(err.message);
+      return;
+    }
+    const chunk = () => {
+      if (cancelled) return;
+      try {
+        const finished = stepRiskAnalysis(analysis, 25);
+        onProgress?.(analysis.done, analysis.runs);
+        if (finished) onDone?.(riskReport(analysis));
+        else setTimeout(chunk, 0);
+      } catch (err) {
+        onError?.(err.message);
+      }
+    };
+    chunk();
+  };
+
+  try {
+    worker = new Worker('riskWorker.js');
+  } catch (err) {
+    worker = null;
+  }
+
+  if (!worker) {
+    setTimeout(runOnMainThread, 0);
+    return { cancel: () => { cancelled = true; } };
+  }
+
+  let heard = false;
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    heard = true;
+    if (msg.type === 'progress') onProgress?.(msg.done, msg.total);
+    else if (msg.type === 'done') { worker.terminate(); onDone?.(msg.report); }
+    else if (msg.type === 'error') { worker.terminate(); onError?.(msg.message); }
+  };
+  // A worker that fails before saying anything never loaded — run here instead
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    worker.terminate();
+    if (heard) onError?.(e.message || 'Risk worker failed');
+    else if (!cancelled) runOnMainThread();
+  };
+  worker.postMessage({ building, rooms, options });
+  return { cancel: () => { cancelled = true; worker.terminate(); } };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    IGNITION_RATES, RISK_DEFAULTS, ignitionProbability, scenarioSeed, sampleScenario,
+    createRiskAnalysis, stepRiskAnalysis, riskReport, runRiskAnalysis,
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * MONTE CARLO RISK WORKER
+ * Runs riskSim.js off the main thread so the page stays responsive.
+ *   in   { building, rooms, options }   (see createRiskAnalysis)
+ *   out  { type: 'progress', done, total } after every chunk,
+ *        then { type: 'done', report } or { type: 'error', message }
+ */
+importScripts('pathfinder.js', 'spreadSim.js', 'riskSim.js');
+
+const RISK_CHUNK = 100;   // scenarios between progress messages
+
+self.onmessage = (e) => {
+  const { building, rooms, options } = e.data;
+  try {
+    const analysis = createRiskAnalysis(building, rooms, options);
+    while (!stepRiskAnalysis(analysis, RISK_CHUNK)) {
+      self.postMessage({ type: 'progress', done: analysis.done, total: analysis.runs });
+    }
+    self.postMessage({ type: 'done', report: riskReport(analysis) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * SCENARIO LINKS
+ * A scenario written into the URL hash, so a hazard setup can be shared as a
+ * link and the browser history steps through scenario changes:
+ *
+ *   #start=R201&floor=F1&profile=mobility&h=KitchenG:fire&h=Hall:smoke&h=Hall::StairG
+ *
+ * Each `h` is a hazard-list entry (see parseHazardList): Node:type for a room,
+ * A::B for a blocked connection. `floor` is a building floor id and is left
+ * out for the whole-building view, and `profile` (ROUTE_PROFILES) for the
+ * standard profile. Entries are sorted, so the same scenario
+ * always gives the same hash.
+ * Requires evacEngine.js (and so pathfinder.js) to be loaded first.
+ */
+
+const SCENARIO_LINK_KEYS = ['start', 'floor', 'profile', 'h'];
+
+// ':' is legal in a fragment; leaving it readable keeps links short
+const encodeLinkPart = value => encodeURIComponent(value).replace(/%3A/gi, ':');
+
+// Hazard-list entries for a scenario, rooms first
+function scenarioHazardSpecs(scenario) {
+  return [
+    ...[...scenario.hazardNodes].sort().map(id => `${id}:${scenario.hazardTypes[id] || ENGINE_DEFAULTS.hazardType}`),
+    ...[...scenario.hazardEdges].sort(),
+  ];
+}
+
+//   view  { start, floor, profile }   floor may be null
+function encodeScenarioHash(scenario, { start, floor = null, profile = ENGINE_DEFAULTS.profile }) {
+  const parts = [`start=${encodeLinkPart(start)}`];
+  if (floor) parts.push(`floor=${encodeLinkPart(floor)}`);
+  if (profile !== ENGINE_DEFAULTS.profile) parts.push(`profile=${encodeLinkPart(profile)}`);
+  scenarioHazardSpecs(scenario).forEach(spec => parts.push(`h=${encodeLinkPart(spec)}`));
+  return `#${parts.join('&')}`;
+}
+
+// Reads a hash against a building ({ nodes, adjacency, floors }).
+// Returns null when the hash holds no scenario (empty, or some other anchor),
+// otherwise { hazards, start, floor, profile, errors } — entries with errors
+// are left out and the rest can still be applied. A link without a profile
+// is for the standard one.
+function decodeScenarioHash(hash, { nodes, adjacency, floors }) {
+  const text = String(hash || '').replace(/^#/, '');
+  if (!text) return null;
+
+  const params = [];
+  for (const part of text.split('&')) {
+    if (!part) continue;
+    const eq = part.indexOf('=');
+    const key = eq < 0 ? part : part.slice(0, eq);
+    let value = eq < 0 ? '' : part.slice(eq + 1);
+    try {
+      value = decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (err) {
+      value = null;
+    }
+    params.push({ key, value });
+  }
+  if (!params.some(p => SCENARIO_LINK_KEYS.includes(p.key))) return null;
+
+  const errors = [];
+  const specs = [];
+  let start = null;
+  let floor = null;
+  let profile = ENGINE_DEFAULTS.profile;
+  for (const { key, value } of params) {
+    if (value === null) errors.push(`"${key}": badly encoded value`);
+    else if (key === 'h') specs.push(value);
+    else if (key === 'start') {
+      if (Object.hasOwn(nodes, value)) start = value;
+      else errors.push(`start: unknown node "${value}"`);
+    } else if (key === 'floor') {
+      if (Object.hasOwn(floors, value)) floor = value;
+      else errors.push(`floor: unknown floor "${value}"`);
+    } else if (key === 'profile') {
+      if (Object.hasOwn(ROUTE_PROFILES, value)) profile = value;
+      else errors.push(`profile: unknown route profile "${value}"`);
+    } else errors.push(`"${key}": not a scenario setting (use ${SCENARIO_LINK_KEYS.join(', ')})`);
+  }
+  const { hazards, errors: hazardErrors } = parseHazardList(specs, { nodes, adjacency });
+  return { hazards, start, floor, profile, errors: [...errors, ...hazardErrors] };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SCENARIO_LINK_KEYS, scenarioHazardSpecs, encodeScenarioHash, decodeScenarioHash };
+}
@@ -0,0 +1,150 @@
+/**
+ * SCENARIO TIMELINE
+ * Structured record of a drill: every hazard change, preset, reset, start
+ * move, route profile and route change, keyed to the drill timer (state.timerSeconds).
+ * Replaying the first n events rebuilds the scenario as it stood then.
+ * Timelines are saved as versioned JSON:
+ *
+ *   { "format": "evac-timeline", "version": 1, "building": "…", "startNode": "Control",
+ *     "profile": "standard", "recorded": "2026-10-19T09:30:00.000Z",
+ *     "events": [{ "t": 12, "at": "…", "type": "hazard", "node": "Hall", "hazard": "fire" }] }
+ *
+ * Event types and their fields:
+ *   hazard  node, hazard, source?     node gets a hazard (or changes type)
+ *   clear   node, source?             node hazard removed
+ *   edge    edge: [a, b], blocked     connection blocked or reopened
+ *   preset  name, nodes, edges, types?   scenario replaced by a preset
+ *   reset                             every hazard cleared
+ *   start   node                      "you are here" moved
+ *   profile profile                   route profile changed (ROUTE_PROFILES)
+ *   route   status, path, distance, time   best route changed — informational,
+ *                                          replay works the route out again
+ * Requires evacEngine.js (and so pathfinder.js) to be loaded first.
+ */
+
+const TIMELINE_FORMAT = 'evac-timeline';
+const TIMELINE_FORMAT_VERSION = 1;
+const TIMELINE_EVENT_TYPES = ['hazard', 'clear', 'edge', 'preset', 'reset', 'start', 'profile', 'route'];
+
+function createTimeline(building, startNode, profile = ENGINE_DEFAULTS.profile) {
+  return { building, startNode, profile, recorded: new Date().toISOString(), events: [] };
+}
+
+// Appends an event at drill time `t` (seconds) and returns it
+function recordEvent(timeline, t, type, fields = {}) {
+  const event = { t, at: new Date().toISOString(), type, ...fields };
+  timeline.events.push(event);
+  return event;
+}
+
+// Scenario, start node and route profile after the first `count` events
+function timelineStateAt(timeline, count = timeline.events.length) {
+  const scenario = createScenario();
+  let startNode = timeline.startNode;
+  let profile = timeline.profile || ENGINE_DEFAULTS.profile;
+  for (const e of timeline.events.slice(0, count)) {
+    if (e.type === 'hazard') setHazard(scenario, e.node, e.hazard);
+    else if (e.type === 'clear') clearHazard(scenario, e.node);
+    else if (e.type === 'edge') setEdgeHazard(scenario, e.edge[0], e.edge[1], e.blocked);
+    else if (e.type === 'preset') loadPreset(scenario, e);
+    else if (e.type === 'reset') clearHazards(scenario);
+    else if (e.type === 'start') startNode = e.node;
+    else if (e.type === 'profile') profile = e.profile;
+  }
+  return { scenario, startNode, profile };
+}
+
+// ─────────────────────────────────────────────────────────────
+// FILES
+// ─────────────────────────────────────────────────────────────
+function exportTimeline(timeline) {
+  return {
+    format: TIMELINE_FORMAT,
+    version: TIMELINE_FORMAT_VERSION,
+    building: timeline.building,
+    startNode: timeline.startNode,
+    profile: timeline.profile,
+    recorded: timeline.recorded,
+    events: timeline.events.map(e => ({ ...e })),
+  };
+}
+
+// Returns a list of problems; an empty list means the file can be replayed
+// on a building with these nodes.
+function validateTimeline(data, nodes) {
+  const errors = [];
+  const err = msg => errors.push(msg);
+  const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const checkNode = (id, where) => {
+    if (!Object.hasOwn(nodes, id)) err(`${where}: ${JSON.stringify(id)} is not a node in this building`);
+  };
+
+  if (!isObj(data)) return ['File is not a JSON object'];
+  if (data.format !== TIMELINE_FORMAT) return [`"format" must be "${TIMELINE_FORMAT}" (found ${JSON.stringify(data.format)})`];
+  if (!Number.isInteger(data.version) || data.version < 1) return ['"version" must be a positive whole number'];
+  if (data.version > TIMELINE_FORMAT_VERSION) return [`"version" ${data.version} is newer than this planner supports (${TIMELINE_FORMAT_VERSION})`];
+  checkNode(data.startNode, 'startNode');
+  if (data.profile !== undefined && !Object.hasOwn(ROUTE_PROFILES, data.profile)) err(`"profile" must be one of ${Object.keys(ROUTE_PROFILES).join(', ')}`);
+  if (!Array.isArray(data.events)) return [...errors, '"events" must be a list'];
+
+  data.events.forEach((e, i) => {
+    const where = `events[${i}]${isObj(e) && typeof e.type === 'string' ? ` ${e.type}` : ''}`;
+    if (!isObj(e)) return err(`${where}: must be an object`);
+    if (typeof e.t !== 'number' || !Number.isFinite(e.t) || e.t < 0) err(`${where}: "t" must be a number of seconds ≥ 0`);
+    if (!TIMELINE_EVENT_TYPES.includes(e.type)) return err(`${where}: type ${JSON.stringify(e.type)} must be one of ${TIMELINE_EVENT_TYPES.join(', ')}`);
+    if (['hazard', 'clear', 'start'].includes(e.type)) checkNode(e.node, where);
+    if (e.type === 'hazard' && !Object.hasOwn(HAZARD_POLICY, e.hazard)) err(`${where}: unknown hazard type ${JSON.stringify(e.hazard)}`);
+    if (e.type === 'profile' && !Object.hasOwn(ROUTE_PROFILES, e.profile)) err(`${where}: unknown route profile ${JSON.stringify(e.profile)}`);
+    if (e.type === 'edge') {
+      if (!Array.isArray(e.edge) || e.edge.length !== 2) err(`${where}: "edge" must be a [from, to] pair`);
+      else e.edge.forEach(id => checkNode(id, where));
+      if (typeof e.blocked !== 'boolean') err(`${where}: "blocked" must be true or false`);
+    }
+    if (e.type === 'preset') {
+      if (!Array.isArray(e.nodes)) err(`${where}: "nodes" must be a list`);
+      else e.nodes.forEach(id => checkNode(id, where));
+      if (e.edges !== undefined && !(Array.isArray(e.edges) && e.edges.every(p => Array.isArray(p) && p.length === 2))) {
+        err(`${where}: "edges" must be a list of [from, to] pairs`);
+      }
+      if (e.types !== undefined && !(isObj(e.types) && Object.values(e.types).every(type => Object.hasOwn(HAZARD_POLICY, type)))) {
+        err(`${where}: "types" must map nodes to hazard types`);
+      }
+    }
+  });
+  return errors;
+}
+
+function readTimeline(data) {
+  return {
+    building: data.building || 'Unknown building',
+    startNode: data.startNode,
+    profile: data.profile || ENGINE_DEFAULTS.profile,
+    recorded: data.recorded || null,
+    events: data.events.map(e => ({ ...e })),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────────────────────
+// RFC 4180 text: fields with commas, quotes or line breaks are quoted
+function toCsv(rows) {
+  const field = v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return rows.map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+// entries  [{ at: ISO time, t: drill seconds, level, message: plain text }]
+function auditToCsv(entries) {
+  return toCsv([['time', 'drill_seconds', 'level', 'message'], ...entries.map(e => [e.at, e.t, e.level, e.message])]);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TIMELINE_FORMAT, TIMELINE_FORMAT_VERSION, TIMELINE_EVENT_TYPES,
+    createTimeline, recordEvent, timelineStateAt, exportTimeline, validateTimeline, readTimeline,
+    toCsv, auditToCsv,
+  };
+}
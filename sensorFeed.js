@@ -0,0 +1,106 @@
+/**
+ * LIVE SENSOR FEED
+ * Detector and door-contact events arriving over a WebSocket. Each message is
+ * one JSON event, or a list of them:
+ *
+ *   { "sensor": "SD-GF-01", "nodeId": "Hall", "state": "smoke" }
+ *
+ * `state` is a HAZARD_POLICY type ('smoke', 'fire', 'closed', …) or 'clear'.
+ * A sensor listed in SENSORS is mapped to its node (nodeId may be left out);
+ * an unlisted sensor must name its node. The transport only hands events on —
+ * resolveSensorEvent turns them into hazard changes, so any other source (a
+ * test page, a building management bridge) can feed the same path.
+ * sensorServer.js replays a scripted timeline for testing.
+ * Requires pathfinder.js to be loaded first.
+ */
+
+const SENSOR_FEED_DEFAULTS = {
+  url: 'ws://localhost:8787',
+  retryMs: 1000,       // first reconnect delay, doubled after every failure
+  maxRetryMs: 15000,
+};
+
+const SENSOR_CLEAR = 'clear';
+
+// Returns { sensor, nodeId, state } or { error } for an event that cannot be used
+//   sensors  sensor id → { node, kind }
+function resolveSensorEvent(event, { nodes, sensors }) {
+  if (event === null || typeof event !== 'object' || Array.isArray(event)) return { error: 'event is not a JSON object' };
+  const sensor = typeof event.sensor === 'string' && event.sensor.trim() ? event.sensor.trim() : null;
+  const state = typeof event.state === 'string' ? event.state.trim().toLowerCase() : '';
+  const name = sensor || 'unnamed sensor';
+  if (state !== SENSOR_CLEAR && !Object.hasOwn(HAZARD_POLICY, state)) {
+    return { error: `${name}: unknown state ${JSON.stringify(event.state)} (use ${[...Object.keys(HAZARD_POLICY), SENSOR_CLEAR].join(', ')})` };
+  }
+
+  const mapped = sensor && Object.hasOwn(sensors, sensor) ? sensors[sensor]?.node : undefined;
+  if (mapped && event.nodeId !== undefined && event.nodeId !== mapped) {
+    return { error: `${name}: reports node "${event.nodeId}" but is mapped to "${mapped}"` };
+  }
+  const nodeId = mapped || event.nodeId;
+  if (!nodeId) return { error: `${name}: not in the sensor map and no nodeId given` };
+  if (!Object.hasOwn(nodes, nodeId)) return { error: `${name}: unknown node "${nodeId}"` };
+  return { sensor, nodeId, state };
+}
+
+// Opens the feed and keeps it open, reconnecting with backoff until close().
+//   handlers  { onEvent(event), onStatus(status, detail), onError(message) }
+//             status: 'connecting' | 'open' | 'retrying' (detail = ms) | 'closed'
+//   Socket    WebSocket implementation (defaults to the browser's)
+// Returns { close() }.
+function connectSensorFeed(url, { onEvent, onStatus, onError }, { Socket = globalThis.WebSocket, retryMs = SENSOR_FEED_DEFAULTS.retryMs, maxRetryMs = SENSOR_FEED_DEFAULTS.maxRetryMs } = {}) {
+  let socket = null;
+  let timer = null;
+  let closed = false;
+  let delay = retryMs;
+
+  const open = () => {
+    onStatus?.('connecting');
+    try {
+      socket = new Socket(url);
+    } catch (err) {
+      // A malformed URL will not get better by retrying
+      closed = true;
+      onError?.(err.message);
+      onStatus?.('closed');
+      return;
+    }
+    socket.onopen = () => {
+      delay = retryMs;
+      onStatus?.('open');
+    };
+    socket.onmessage = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch (err) {
+        onError?.(`not valid JSON — ${String(e.data).slice(0, 60)}`);
+        return;
+      }
+      (Array.isArray(data) ? data : [data]).forEach(event => onEvent?.(event));
+    };
+    socket.onerror = () => {};   // always followed by onclose, which retries
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      onStatus?.('retrying', delay);
+      timer = setTimeout(open, delay);
+      delay = Math.min(delay * 2, maxRetryMs);
+    };
+  };
+
+  open();
+  return {
+    close() {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      if (socket) socket.close();
+      onStatus?.('closed');
+    },
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SENSOR_FEED_DEFAULTS, SENSOR_CLEAR, resolveSensorEvent, connectSensorFeed };
+}
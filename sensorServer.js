@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * STAND-IN SENSOR SERVER
+ * Local WebSocket server that replays a scripted detector timeline to every
+ * page that connects, for trying out sensorFeed.js without real hardware.
+ * Each connection gets the timeline from the start.
+ *
+ *   node sensorServer.js [timeline.json] [--port 8787] [--speed 2] [--loop]
+ *
+ * A timeline is a list of events with `at` in seconds from connecting:
+ *   [{ "at": 3, "sensor": "HD-GF-02", "state": "fire" }, …]
+ * Everything but `at` is sent as-is. No dependencies: the WebSocket
+ * handshake and text frames are written by hand (RFC 6455).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const DEFAULT_TIMELINE = path.join(__dirname, 'sensorTimeline.json');
+
+const USAGE = `Usage: node sensorServer.js [timeline.json] [options]
+
+  timeline.json   events to replay (default: sensorTimeline.json)
+  --port <n>      port to listen on (default 8787)
+  --speed <x>     play the timeline x times faster (default 1)
+  --loop          start the timeline again after the last event`;
+
+function parseArgs(argv) {
+  const args = { file: DEFAULT_TIMELINE, port: 8787, speed: 1, loop: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const number = () => {
+      const n = Number(argv[++i]);
+      if (!(n > 0)) throw new Error(`${arg} needs a positive number`);
+      return n;
+    };
+    if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--port') args.port = number();
+    else if (arg === '--speed') args.speed = number();
+    else if (arg === '--loop') args.loop = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.file = arg;
+  }
+  return args;
+}
+
+function readTimeline(file) {
+  const events = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(events)) throw new Error('a timeline is a JSON list of events');
+  events.forEach((e, i) => {
+    if (typeof e?.at !== 'number' || e.at < 0) throw new Error(`event ${i}: "at" must be a number of seconds ≥ 0`);
+  });
+  return [...events].sort((a, b) => a.at - b.at);
+}
+
+// ─────────────────────────────────────────────────────────────
+// WEBSOCKET FRAMING
+// ─────────────────────────────────────────────────────────────
+function frame(opcode, payload) {
+  const body = Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = body.length;
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(body.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, body]);
+}
+
+// Client frames are masked; only control frames matter here (close, ping)
+function readFrames(buffer, onFrame) {
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    let length = buffer[offset + 1] & 0x7f;
+    let head = 2;
+    if (length === 126) { length = buffer.readUInt16BE(offset + 2); head = 4; }
+    else if (length === 127) { length = Number(buffer.readBigUInt64BE(offset + 2)); head = 10; }
+    const masked = buffer[offset + 1] & 0x80;
+    const start = offset + head + (masked ? 4 : 0);
+    if (buffer.length < start + length) break;
+    const payload = Buffer.from(buffer.subarray(start, start + length));
+    if (masked) {
+      const mask = buffer.subarray(offset + head, offset + head + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    onFrame(opcode, payload);
+    offset = start + length;
+  }
+  return buffer.subarray(offset);
+}
+
+// ─────────────────────────────────────────────────────────────
+// SERVER
+// ─────────────────────────────────────────────────────────────
+function replay(socket, timeline, { speed, loop }, name) {
+  const timers = [];
+  const send = (event) => {
+    const { at, ...message } = event;
+    socket.write(frame(0x1, JSON.stringify(message)));
+    console.log(`${name}  T+${at}s  ${message.sensor || '?'} → ${message.state}${message.note ? `  (${message.note})` : ''}`);
+  };
+  const play = () => {
+    timeline.forEach(event => timers.push(setTimeout(() => send(event), (event.at * 1000) / speed)));
+    const end = timeline.length ? timeline[timeline.length - 1].at : 0;
+    timers.push(setTimeout(() => {
+      if (loop) play();
+      else console.log(`${name}  timeline finished`);
+    }, ((end + 1) * 1000) / speed));
+  };
+  play();
+  return () => timers.forEach(clearTimeout);
+}
+
+function main() {
+  let args, timeline;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+      return;
+    }
+    timeline = readTimeline(args.file);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let clients = 0;
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This is a WebSocket sensor feed — connect with ws://\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`, '', '',
+    ].join('\r\n'));
+
+    const name = `#${++clients}`;
+    console.log(`${name}  connected from ${req.socket.remoteAddress}`);
+    const stop = replay(socket, timeline, args, name);
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = readFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+        if (opcode === 0x8) socket.end(frame(0x8, payload.subarray(0, 2)));
+        else if (opcode === 0x9) socket.write(frame(0xA, payload));
+      });
+    });
+    socket.on('close', () => {
+      stop();
+      console.log(`${name}  disconnected`);
+    });
+    socket.on('error', () => socket.destroy());
+  });
+
+  server.listen(args.port, () => {
+    console.log(`Sensor feed on ws://localhost:${args.port} — ${timeline.length} events from ${path.basename(args.file)}${args.speed !== 1 ? ` at ${args.speed}×` : ''}${args.loop ? ', looping' : ''}`);
+  });
+}
+
+main();
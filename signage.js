@@ -0,0 +1,221 @@
+/**
+ * EVACUATION SIGNAGE
+ * Printable "You are here" signs: one standalone SVG per room showing the
+ * room's floor plan, a marker on the room, the primary and secondary routes
+ * out as arrows, and a legend. Signs are drawn for a building with no
+ * hazards — they are posted on the wall, not shown during an incident.
+ *
+ * A building here is the readBuilding shape (buildingFormat.js):
+ *   { name, nodes, floors, floorBoxes, geometry, edges, exits }
+ * Only rooms with map geometry on a floor with a box get a sign.
+ * Requires evacEngine.js (and so pathfinder.js) to be loaded first.
+ */
+
+const SIGN_DEFAULTS = {
+  types: ['room', 'control'],   // node types that get a sign
+  width: 900,                   // px; the height follows the floor's shape
+  pad: 30,
+  header: 96,                   // title block above the plan
+  footer: 170,                  // route lines and legend below it
+};
+
+// Print colours, chosen to stay readable in greyscale as well
+const SIGN_COLORS = {
+  ink: '#1b1f24',
+  muted: '#5b6570',
+  paper: '#ffffff',
+  floor: '#f2f4f6',
+  node: '#ffffff',
+  corridor: '#b8c0c8',
+  primary: '#0a8f3c',
+  secondary: '#1f6fd1',
+  here: '#d7261e',
+  exit: '#0a8f3c',
+  stair: '#e0a100',
+  lift: '#9aa3ad',
+  refuge: '#cfe3f7',
+};
+
+const escSvg = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Node ids that get a sign, in building order
+function signRooms(building) {
+  return Object.keys(building.nodes).filter(id => {
+    const n = building.nodes[id];
+    return SIGN_DEFAULTS.types.includes(n.type) && building.geometry[id] && building.floorBoxes[n.floor] && !building.exits.has(id);
+  });
+}
+
+// The two routes a sign shows, on a building with no hazards. The secondary
+// route goes to a different exit when there is one. Returns
+// { status, primary, secondary } — see evaluateScenario for status; primary
+// is the refuge route when no exit can be reached, null when nothing can.
+function signRoutes(graph, room, profile = ENGINE_DEFAULTS.profile) {
+  const scenario = createScenario();
+  let evaluation = evaluateScenario(graph, scenario, room, { k: 2, distinctExits: true }, profile);
+  if (evaluation.route && !evaluation.alternatives.length) evaluation = evaluateScenario(graph, scenario, room, { k: 2 }, profile);
+  return { status: evaluation.status, primary: evaluation.route, secondary: evaluation.alternatives[0] || null };
+}
+
+// One line of plain text for a route: where it ends, the stairs or lift it
+// takes (and on a campus the door out), how far and how long.
+function signRouteText(nodes, route) {
+  const label = id => nodes[id]?.label || id;
+  const end = route.path[route.path.length - 1];
+  const stair = route.path.find(id => nodes[id]?.type === 'stair' || nodes[id]?.type === 'elevator');
+  const door = route.path.find(id => id !== end && nodes[id]?.type === 'exit');
+  const via = [stair, door].filter(Boolean).map(label).join(' and ');
+  return `${label(end)}${via ? ` via ${via}` : ''} — ${formatDistance(route.distance)}, about ${formatDuration(route.time)}`;
+}
+
+// A standalone SVG document for one room.
+//   routes   { status, primary, secondary } from signRoutes
+//   profile  named under the title when it is not the standard one
+function renderSignSvg(building, room, routes, profile = ENGINE_DEFAULTS.profile) {
+  const { nodes, floors, geometry, edges, exits } = building;
+  const { width, pad, header, footer } = SIGN_DEFAULTS;
+  const C = SIGN_COLORS;
+  const floorId = nodes[room].floor;
+  const box = building.floorBoxes[floorId];
+  const scale = (width - 2 * pad) / box.w;
+  const height = Math.round(header + box.h * scale + footer);
+  const X = x => +(pad + (x - box.x) * scale).toFixed(1);
+  const Y = y => +(header + (y - box.y) * scale).toFixed(1);
+  const onFloor = id => nodes[id]?.floor === floorId && geometry[id];
+  const label = id => nodes[id]?.label || id;
+  const p = routeProfile(profile);
+  const liftsInFire = !p.avoid.includes('elevator') && !p.avoidInFire.includes('elevator');
+
+  let s = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`;
+  s += `<title>${escSvg(`${building.name} — ${label(room)} — evacuation route`)}</title>`;
+  s += '<defs>';
+  for (const [name, color] of [['primary', C.primary], ['secondary', C.secondary]]) {
+    s += `<marker id="arrow-${name}" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="${color}"/></marker>`;
+  }
+  s += '</defs>';
+  s += `<rect width="${width}" height="${height}" fill="${C.paper}"/>`;
+
+  /* title */
+  const floorName = floors[floorId]?.label || floorId;
+  const profileName = profile !== ENGINE_DEFAULTS.profile ? ` · ${p.label} route` : '';
+  s += `<rect x="0" y="0" width="${width}" height="10" fill="${C.primary}"/>`;
+  s += `<text x="${pad}" y="46" font-size="28" font-weight="700" fill="${C.ink}">IN CASE OF FIRE — ${escSvg(label(room).toUpperCase())}</text>`;
+  s += `<text x="${pad}" y="74" font-size="16" fill="${C.muted}">${escSvg(`${building.name} · ${floorName}${profileName}`)}</text>`;
+
+  /* floor plan */
+  s += `<rect x="${X(box.x)}" y="${Y(box.y)}" width="${(box.w * scale).toFixed(1)}" height="${(box.h * scale).toFixed(1)}" rx="8" fill="${C.floor}" stroke="${C.corridor}"/>`;
+  edges.forEach(([a, b]) => {
+    if (onFloor(a) && onFloor(b)) s += `<line x1="${X(geometry[a].x)}" y1="${Y(geometry[a].y)}" x2="${X(geometry[b].x)}" y2="${Y(geometry[b].y)}" stroke="${C.corridor}" stroke-width="3"/>`;
+  });
+
+  // Arrow heads sit halfway along each step, so the node boxes never hide them
+  const drawRoute = (route, name, dash) => {
+    if (!route) return '';
+    let out = '';
+    route.path.forEach((a, i) => {
+      const b = route.path[i + 1];
+      if (b === undefined || !onFloor(a) || !onFloor(b)) return;
+      const [x1, y1, x2, y2] = [X(geometry[a].x), Y(geometry[a].y), X(geometry[b].x), Y(geometry[b].y)];
+      out += `<path d="M${x1},${y1} L${((x1 + x2) / 2).toFixed(1)},${((y1 + y2) / 2).toFixed(1)} L${x2},${y2}" fill="none" stroke="${C[name]}" stroke-width="${name === 'primary' ? 7 : 5}"${dash ? ' stroke-dasharray="12 8"' : ''} stroke-linecap="round" marker-mid="url(#arrow-${name})"/>`;
+    });
+    return out;
+  };
+  s += drawRoute(routes.secondary, 'secondary', true);
+  s += drawRoute(routes.primary, 'primary', false);
+
+  Object.keys(geometry).filter(onFloor).forEach(id => {
+    const g = geometry[id];
+    const type = nodes[id].type;
+    const exit = exits.has(id) || type === 'exit';   // campus doors are not the route's exits
+    const fill = exit ? C.exit : type === 'stair' ? C.stair : type === 'elevator' ? C.lift : type === 'refuge' ? C.refuge : C.node;
+    const w = g.w * scale, h = g.h * scale;
+    s += `<rect x="${(X(g.x) - w / 2).toFixed(1)}" y="${(Y(g.y) - h / 2).toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}" rx="4" fill="${fill}" stroke="${C.ink}" stroke-width="${id === room ? 3 : 1}"/>`;
+    s += `<text x="${X(g.x)}" y="${Y(g.y) + 4}" font-size="12" text-anchor="middle" font-weight="${exit ? 700 : 400}" fill="${exit ? C.paper : C.ink}">${escSvg(g.l)}</text>`;
+    if (type === 'elevator' && !liftsInFire) s += `<text x="${X(g.x)}" y="${(Y(g.y) + h / 2 + 13).toFixed(1)}" font-size="10" text-anchor="middle" fill="${C.ink}">Not in a fire</text>`;
+  });
+
+  // Where a route carries on to another floor, say which way it goes
+  const leaves = [];
+  [routes.primary, routes.secondary].forEach(route => {
+    if (!route) return;
+    const i = route.path.findIndex((id, j) => onFloor(id) && route.path[j + 1] !== undefined && nodes[route.path[j + 1]]?.floor !== floorId);
+    if (i < 0 || leaves.some(l => l.id === route.path[i])) return;
+    // The floor the stairs or lift are left at, not the first one passed
+    const off = route.path.slice(i + 1).find(id => !['stair', 'elevator'].includes(nodes[id]?.type)) || route.path[route.path.length - 1];
+    const next = nodes[off].floor;
+    if (floors[next]?.outdoor) return;   // a campus door: the route is drawn to it
+    const down = (floors[next]?.order ?? 0) < (floors[floorId]?.order ?? 0);
+    leaves.push({ id: route.path[i], text: `${down ? '▼' : '▲'} to ${floors[next]?.floorLabel || floors[next]?.label || next}` });
+  });
+  leaves.forEach(({ id, text }) => {
+    const g = geometry[id];
+    s += `<text x="${X(g.x)}" y="${(Y(g.y) - g.h * scale / 2 - 8).toFixed(1)}" font-size="13" font-weight="700" text-anchor="middle" fill="${C.ink}">${escSvg(text)}</text>`;
+  });
+
+  /* you are here */
+  const hx = X(geometry[room].x), hy = Y(geometry[room].y);
+  s += `<circle cx="${hx}" cy="${hy}" r="16" fill="none" stroke="${C.here}" stroke-width="4"/>`;
+  s += `<circle cx="${hx}" cy="${hy}" r="7" fill="${C.here}"/>`;
+  s += `<rect x="${hx - 58}" y="${(hy - geometry[room].h * scale / 2 - 30).toFixed(1)}" width="116" height="20" rx="3" fill="${C.here}"/>`;
+  s += `<text x="${hx}" y="${(hy - geometry[room].h * scale / 2 - 15.5).toFixed(1)}" font-size="12" font-weight="700" text-anchor="middle" fill="${C.paper}">YOU ARE HERE</text>`;
+
+  /* routes in words */
+  let y = Math.round(header + box.h * scale + 34);
+  const line = (color, dash, text) => {
+    s += `<line x1="${pad}" y1="${y - 5}" x2="${pad + 40}" y2="${y - 5}" stroke="${color}" stroke-width="6"${dash ? ' stroke-dasharray="10 6"' : ''}/>`;
+    s += `<text x="${pad + 52}" y="${y}" font-size="16" fill="${C.ink}">${escSvg(text)}</text>`;
+    y += 28;
+  };
+  if (routes.status === 'failed') line(C.here, false, 'No route to an exit from this room');
+  else if (routes.status === 'refuge') line(C.primary, false, `Go to ${signRouteText(nodes, routes.primary)} and wait for assistance`);
+  else {
+    line(C.primary, false, `Primary: ${signRouteText(nodes, routes.primary)}`);
+    if (routes.secondary) line(C.secondary, true, `Secondary: ${signRouteText(nodes, routes.secondary)}`);
+  }
+
+  /* legend */
+  y = height - 30;
+  let x = pad;
+  const key = (swatch, text) => {
+    s += swatch(x);
+    s += `<text x="${x + 26}" y="${y + 4}" font-size="12" fill="${C.muted}">${escSvg(text)}</text>`;
+    x += 34 + text.length * 7;
+  };
+  key(x0 => `<circle cx="${x0 + 9}" cy="${y}" r="7" fill="${C.here}"/>`, 'You are here');
+  key(x0 => `<line x1="${x0}" y1="${y}" x2="${x0 + 20}" y2="${y}" stroke="${C.primary}" stroke-width="5"/>`, 'Primary route');
+  key(x0 => `<line x1="${x0}" y1="${y}" x2="${x0 + 20}" y2="${y}" stroke="${C.secondary}" stroke-width="4" stroke-dasharray="6 4"/>`, 'Secondary route');
+  key(x0 => `<rect x="${x0}" y="${y - 7}" width="20" height="14" rx="2" fill="${C.exit}"/>`, 'Exit');
+  key(x0 => `<rect x="${x0}" y="${y - 7}" width="20" height="14" rx="2" fill="${C.stair}" stroke="${C.ink}" stroke-width="0.5"/>`, 'Stairs');
+  key(x0 => `<rect x="${x0}" y="${y - 7}" width="20" height="14" rx="2" fill="${C.lift}" stroke="${C.ink}" stroke-width="0.5"/>`, liftsInFire ? 'Lift' : 'Lift — do not use in a fire');
+
+  s += '</svg>';
+  return s;
+}
+
+// A print-ready HTML page with one sign per sheet.
+//   signs  [{ room, svg }]
+function signSheetHtml(buildingName, signs) {
+  const pages = signs.map(sign => `<section class="sign" id="${escSvg(sign.room)}">${sign.svg}</section>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escSvg(buildingName)} — evacuation signs</title>
+<style>
+  @page { size: A4 portrait; margin: 12mm; }
+  body { margin: 0; font-family: Helvetica, Arial, sans-serif; background: #fff; }
+  .sign { page-break-after: always; break-after: page; padding: 12px 0; }
+  .sign:last-child { page-break-after: auto; break-after: auto; }
+  .sign svg { width: 100%; height: auto; display: block; }
+</style>
+</head>
+<body>
+${pages}
+</body>
+</html>
+`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SIGN_DEFAULTS, SIGN_COLORS, signRooms, signRoutes, signRouteText, renderSignSvg, signSheetHtml };
+}
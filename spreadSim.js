@@ -0,0 +1,101 @@
+/**
+ * FIRE & SMOKE SPREAD SIMULATION
+ * Deterministic, seeded propagation model stepped once per timer tick.
+ * Fire and smoke spread from hazard nodes into adjacent nodes at per-node-type
+ * rates; stairwells pull smoke up between floors like a chimney.
+ */
+
+// Per-tick probability that a neighbour of this type catches fire / fills with smoke
+const SPREAD_RATES = {
+  room:     { fire: 0.010, smoke: 0.040 },
+  control:  { fire: 0.010, smoke: 0.040 },
+  corridor: { fire: 0.015, smoke: 0.060 },
+  stair:    { fire: 0.008, smoke: 0.120 },   // open shafts draw smoke in
+  elevator: { fire: 0.008, smoke: 0.100 },
+  refuge:   { fire: 0.002, smoke: 0.010 },   // fire-rated enclosure
+  exit:     { fire: 0.005, smoke: 0.020 },
+  outdoor:  { fire: 0,     smoke: 0.005 },   // campus paths: smoke drifts, fire does not travel
+  assembly: { fire: 0,     smoke: 0.005 },
+};
+
+// Stair → stair smoke transfer between floors
+const CHIMNEY_RATES = { up: 0.25, down: 0.05 };
+
+// Smoke spreading on its own is weaker than smoke pushed out by a fire
+const SMOKE_DECAY = 0.5;
+
+// Seeded PRNG (mulberry32) — same seed, same sequence, same drill
+function createRng(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// SIMULATION
+// ─────────────────────────────────────────────────────────────
+//   nodes          id → { type, floor }
+//   floors         floorId → { order }
+//   adjacency      id → [neighbourIds]
+//   protectedNodes ids the model never spreads into (e.g. the start point)
+function createSpreadSim({ nodes, floors, adjacency, seed = 1, protectedNodes = [] }) {
+  return {
+    nodes, floors, adjacency, seed,
+    protectedNodes: new Set(protectedNodes),
+    rng: createRng(seed),
+    tick: 0,
+  };
+}
+
+// Advances one tick. Reads the hazard map as it stood at the start of the tick
+// and returns the changes [{ id, type, from }] without applying them.
+// Closed doors and blocked edges act as barriers; closed nodes never burn.
+function stepSpread(sim, hazardTypes, blockedEdges = new Set()) {
+  sim.tick++;
+  const next = {};
+
+  const orderOf = id => sim.floors?.[sim.nodes[id]?.floor]?.order ?? 0;
+  const rateFor = id => SPREAD_RATES[sim.nodes[id]?.type] || SPREAD_RATES.room;
+  const propose = (id, type, from) => {
+    if (next[id]?.type === 'fire') return;
+    next[id] = { id, type, from };
+  };
+
+  // Sorted iteration keeps the RNG draw order stable across runs
+  for (const source of Object.keys(hazardTypes).sort()) {
+    const sourceType = hazardTypes[source];
+    if (sourceType !== 'fire' && sourceType !== 'smoke') continue;
+
+    for (const target of sim.adjacency[source] || []) {
+      if (sim.protectedNodes.has(target)) continue;
+      if (blockedEdges.has(edgeKey(source, target))) continue;
+
+      const current = hazardTypes[target];
+      if (current === 'fire' || current === 'closed' || current === 'exit_blocked') continue;
+
+      const rate = rateFor(target);
+      const chimney = sim.nodes[source]?.type === 'stair' && sim.nodes[target]?.type === 'stair'
+        ? (orderOf(target) > orderOf(source) ? CHIMNEY_RATES.up : CHIMNEY_RATES.down)
+        : 0;
+
+      if (sourceType === 'fire' && sim.rng() < rate.fire) {
+        propose(target, 'fire', source);
+        continue;
+      }
+      if (current === 'smoke') continue;
+
+      const smokeRate = Math.max(chimney, sourceType === 'fire' ? rate.smoke : rate.smoke * SMOKE_DECAY);
+      if (sim.rng() < smokeRate) propose(target, 'smoke', source);
+    }
+  }
+
+  return Object.values(next);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SPREAD_RATES, CHIMNEY_RATES, SMOKE_DECAY, createRng, createSpreadSim, stepSpread };
+}